@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/**
+ * Rqlink CLI
+ *
+ * Command line entry point for schema tooling.
+ *
+ * Usage:
+ *   rqlink pull --base http://localhost --port 4001 [--username u --password p] [--out schema.js]
+ *   rqlink types --schema ./schema.js [--export schema] [--out rqlink-schema.d.ts]
+ *
+ * @module rqlink/cli
+ */
+
+import { resolve } from "node:path";
+import { pathToFileURL } from "node:url";
+import { pullSchema, generateTypes } from "./rqlink.js";
+
+// ============================================================================
+// ARGUMENT PARSING
+// ============================================================================
+
+/**
+ * Parses "--key value" and "--flag" arguments
+ * Repeated keys are collected into arrays
+ * @param {string[]} argv - Arguments after the command name
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+  const opts = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+
+    const key = arg.slice(2);
+    const next = argv[i + 1];
+    const val = next === undefined || next.startsWith("--") ? true : (i++, next);
+
+    if (opts[key] === undefined) {
+      opts[key] = val;
+    } else {
+      opts[key] = [].concat(opts[key], val);
+    }
+  }
+
+  return opts;
+}
+
+const USAGE = `Usage:
+  rqlink pull --base <url> [--base <url> ...] --port <port> [--username <u> --password <p>] [--out schema.js]
+  rqlink types --schema <file> [--export <name>] [--out <file.d.ts>]
+
+Commands:
+  pull    Generate a schema definition from an existing rqlite database
+  types   Generate TypeScript declarations for a schema module (export "schema" or default)
+
+Credentials may also be given as RQLITE_USERNAME / RQLITE_PASSWORD environment variables.`;
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+/**
+ * Runs the "pull" command
+ * Prints the generated schema.js to stdout unless --out is given
+ * @param {Object} opts - Parsed options
+ */
+async function pull(opts) {
+  if (!opts.base || !opts.port) {
+    throw new Error("pull requires --base and --port");
+  }
+
+  const { warnings, source } = await pullSchema({
+    base: [].concat(opts.base),
+    port: Number(opts.port),
+    username: opts.username || process.env.RQLITE_USERNAME,
+    password: opts.password || process.env.RQLITE_PASSWORD,
+    out: typeof opts.out === "string" ? opts.out : undefined
+  });
+
+  for (const w of warnings) {
+    console.error(`warning: ${w}`);
+  }
+
+  if (typeof opts.out === "string") {
+    console.error(`Schema written to ${opts.out}`);
+  } else {
+    process.stdout.write(source);
+  }
+}
+
+/**
+ * Runs the "types" command
+ * Imports the schema module and prints the declarations to stdout unless --out is given
+ * @param {Object} opts - Parsed options
+ */
+async function types(opts) {
+  if (typeof opts.schema !== "string") {
+    throw new Error("types requires --schema <file>");
+  }
+
+  const mod = await import(pathToFileURL(resolve(opts.schema)).href);
+  const name = typeof opts.export === "string" ? opts.export : null;
+  const schema = name ? mod[name] : (mod.schema || mod.default);
+  if (!schema || typeof schema !== "object") {
+    throw new Error(`No schema export found in ${opts.schema}${name ? ` (export "${name}")` : ""}`);
+  }
+
+  const out = typeof opts.out === "string" ? opts.out : undefined;
+  const source = await generateTypes(schema, { out });
+
+  if (out) {
+    console.error(`Types written to ${out}`);
+  } else {
+    process.stdout.write(source);
+  }
+}
+
+const COMMANDS = { pull, types };
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+const [command, ...rest] = process.argv.slice(2);
+
+if (!command || command === "help" || command === "--help" || !COMMANDS[command]) {
+  console.log(USAGE);
+  process.exitCode = command && !["help", "--help"].includes(command) ? 1 : 0;
+} else {
+  try {
+    await COMMANDS[command](parseArgs(rest));
+  } catch (e) {
+    console.error(`rqlink ${command}: ${e.message}`);
+    process.exitCode = 1;
+  }
+}
@@ -13,13 +13,21 @@
 
 /**
  * Global configuration object for rqlink behavior
+ * These are defaults only: createClient(schema, options), a table's `config` and
+ * per-call options override them, in that order of increasing precedence
  * @property {number} timeout - Request timeout in milliseconds (default: 5000)
  * @property {boolean} verbose - Enable SQL query logging in development (default: false)
  * @property {string} freshness - Freshness parameter for read consistency (default: "0.1s")
  * @property {boolean} freshness_strict - Enable strict freshness checking (default: true)
- * @property {number} retryDelay - Base delay between retries in milliseconds (default: 50)
+ * @property {number} retryDelay - Deprecated alias of retry.baseDelay (default: 50)
+ * @property {Object} retry - Retry policy, see RETRY_POLICY
  * @property {number} maxRequestSize - Maximum request payload size in bytes (default: 1MB)
  * @property {boolean} requireTLS - Require HTTPS connections (default: false, set true for PHI/EMR)
+ * @property {number} circuitThreshold - Consecutive failures before a node is marked unhealthy (default: 3)
+ * @property {number} circuitCooldown - Delay between background probes of an unhealthy node in milliseconds (default: 10000)
+ * @property {number} topologyTTL - How long a discovered leader is trusted before re-discovery in milliseconds (default: 30000)
+ * @property {boolean} coalesceReads - Send reads issued in the same tick as one multi-statement request (default: true)
+ * @property {Object|null} instrumentation - Tracing and metrics hooks, see INSTRUMENTATION (default: null)
  */
 let CONFIG = {
   timeout: 5000,
@@ -27,10 +35,279 @@ let CONFIG = {
   freshness: "0.1s",
   freshness_strict: true,
   retryDelay: 50,
+  retry: {},
   maxRequestSize: 1024 * 1024, // 1MB limit to prevent DoS
-  requireTLS: false // Set to true for PHI/EMR production environments
+  requireTLS: false, // Set to true for PHI/EMR production environments
+  circuitThreshold: 3,
+  circuitCooldown: 10000,
+  topologyTTL: 30000,
+  coalesceReads: true,
+  instrumentation: null
 };
 
+/**
+ * Default retry policy
+ * Attempts cycle through the routed nodes (leader first for writes) until
+ * maxAttempts is reached; the delay before retry n is baseDelay * 2^(n-1), capped
+ * at maxDelay and randomized by jitter ("full", "equal" or "none")
+ * @property {number|undefined} maxAttempts - Total attempts across all nodes (default: one per node, at least 3)
+ * @property {number|undefined} baseDelay - First retry delay in ms (default: retryDelay)
+ * @property {number} maxDelay - Upper bound of a single delay in ms (default: 2000)
+ * @property {string} jitter - Jitter strategy (default: "full")
+ * @property {Function|null} retryOn - (error, {attempt, node, idempotent}) => boolean, overrides
+ * the default decision (retry every non-deterministic error)
+ * @property {Function|null} onRetry - ({attempt, delay, error, node, nextNode}) => void, called
+ * before each retry
+ */
+const RETRY_POLICY = {
+  maxAttempts: undefined,
+  baseDelay: undefined,
+  maxDelay: 2000,
+  jitter: "full",
+  retryOn: null,
+  onRetry: null
+};
+
+/**
+ * Options that may be overridden per call, e.g. findMany({ timeout, signal })
+ * `idempotent: true` marks a write as safe to retry after an unknown outcome;
+ * `operation` ({table, action}) is set by the client so instrumentation can name the
+ * model call behind each request
+ */
+const CALL_OPTIONS = ["timeout", "freshness", "freshness_strict", "signal", "retry", "idempotent", "operation"];
+
+/**
+ * Merges configuration layers from lowest to highest precedence
+ * Keys are replaced, except `retry` whose policy fields are merged individually
+ * @param {...Object} layers - Configuration objects (undefined entries are skipped)
+ * @returns {Object} Merged configuration
+ */
+function mergeOptions(...layers) {
+  const out = {};
+  for (const layer of layers) {
+    if (!layer) continue;
+    const { retry, ...rest } = layer;
+    Object.assign(out, rest);
+    if (retry) out.retry = { ...out.retry, ...retry };
+  }
+  return out;
+}
+
+/**
+ * Picks the per-call request options out of a method's arguments
+ * @param {Object} [args] - Method arguments
+ * @returns {Object} {timeout?, freshness?, freshness_strict?, signal?}
+ */
+function callOptions(args = {}) {
+  return Object.fromEntries(CALL_OPTIONS.filter(k => args[k] !== undefined).map(k => [k, args[k]]));
+}
+
+/**
+ * Picks configuration overrides from a table's `config` block
+ * @param {Object} config - Table config ({base, port, username, password, ...overrides})
+ * @returns {Object} Overrides of known CONFIG keys
+ */
+function tableOptions(config) {
+  return Object.fromEntries(Object.keys(CONFIG).filter(k => config[k] !== undefined).map(k => [k, config[k]]));
+}
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+/**
+ * Base class of all errors thrown by rqlink
+ * @property {string|undefined} sql - SQL statement that failed, if any
+ * @property {Object|undefined} params - Statement parameters with values redacted
+ * @property {string|undefined} node - URL of the rqlite node that reported the error
+ * @property {number|undefined} status - HTTP status returned by the node
+ */
+export class RqlinkError extends Error {
+  constructor(message, { sql, params, node, status, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "RqlinkError";
+    this.sql = sql;
+    this.params = params;
+    this.node = node;
+    this.status = status;
+  }
+}
+
+/**
+ * A statement was rejected by SQLite (syntax error, constraint, missing table, ...)
+ * These errors are deterministic and are never retried on another node
+ */
+export class SQLError extends RqlinkError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "SQLError";
+  }
+}
+
+/**
+ * A UNIQUE or PRIMARY KEY constraint was violated
+ * @property {string} table - Table of the violated constraint
+ * @property {string[]} columns - Columns of the violated constraint
+ */
+export class UniqueConstraintError extends SQLError {
+  constructor(message, { table, columns, ...details } = {}) {
+    super(message, details);
+    this.name = "UniqueConstraintError";
+    this.table = table;
+    this.columns = columns;
+  }
+}
+
+/**
+ * A FOREIGN KEY constraint was violated
+ */
+export class ForeignKeyError extends SQLError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "ForeignKeyError";
+  }
+}
+
+/**
+ * A NOT NULL constraint was violated
+ * @property {string} table - Table of the column
+ * @property {string} column - Column that cannot be NULL
+ */
+export class NotNullError extends SQLError {
+  constructor(message, { table, column, ...details } = {}) {
+    super(message, details);
+    this.name = "NotNullError";
+    this.table = table;
+    this.column = column;
+  }
+}
+
+/**
+ * No record matched a findUniqueOrThrow/findFirstOrThrow query
+ * @property {string} table - Queried table
+ */
+export class NotFoundError extends RqlinkError {
+  constructor(table, details) {
+    super(`No ${table} record found`, details);
+    this.name = "NotFoundError";
+    this.table = table;
+  }
+}
+
+/**
+ * Every attempt of a request timed out
+ * @property {boolean} outcomeUnknown - A write may have been applied before the timeout
+ */
+export class TimeoutError extends RqlinkError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "TimeoutError";
+  }
+}
+
+/**
+ * rqlite rejected the credentials (HTTP 401/403)
+ */
+export class AuthError extends RqlinkError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "AuthError";
+  }
+}
+
+/**
+ * No node could serve the request
+ * @property {number} attempts - Number of attempts made
+ * @property {Object[]} errors - One {node, message} entry per failed attempt
+ * @property {boolean} outcomeUnknown - A write may have been applied before the connection failed
+ */
+export class NodeUnreachableError extends RqlinkError {
+  constructor(message, { attempts, errors, ...details } = {}) {
+    super(message, details);
+    this.name = "NodeUnreachableError";
+    this.attempts = attempts;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Thrown when create/update data does not match the schema
+ * @property {string} table - Table the data was written to
+ * @property {Object[]} errors - One {field, message} entry per violation
+ */
+export class ValidationError extends RqlinkError {
+  constructor(table, errors) {
+    super(`Validation failed for ${table}: ${errors.map(e => `${e.field} ${e.message}`).join("; ")}`);
+    this.name = "ValidationError";
+    this.table = table;
+    this.errors = errors;
+  }
+}
+
+/**
+ * rqlite error messages that indicate a transient cluster condition rather than
+ * a problem with the statement; these are retried on the next node
+ */
+const TRANSIENT_ERROR = /not leader|leadership|leader not found|unavailable|timeout|deadline exceeded|database is locked|busy/i;
+
+/**
+ * Replaces parameter values so errors can be logged without leaking data
+ * @param {Object|Array|undefined} params - Statement parameters
+ * @returns {Object|Array|undefined} Parameters with every value redacted
+ */
+function redactParams(params) {
+  if (Array.isArray(params)) return params.map(() => "[REDACTED]");
+  if (!params || typeof params !== "object") return params;
+  return Object.fromEntries(Object.keys(params).map(k => [k, "[REDACTED]"]));
+}
+
+/**
+ * Converts an error reported by rqlite for a statement into a typed error
+ * @param {string} message - rqlite/SQLite error message
+ * @param {Object} details - {sql, params, node, status}
+ * @returns {RqlinkError} Typed error; transient errors are returned as plain RqlinkError
+ */
+function sqlErrorFrom(message, details) {
+  let m;
+
+  if ((m = /UNIQUE constraint failed: (.+)$/i.exec(message))) {
+    const refs = m[1].split(",").map(r => r.trim());
+    return new UniqueConstraintError(message, {
+      ...details,
+      table: refs[0].split(".")[0],
+      columns: refs.map(r => r.split(".").slice(1).join("."))
+    });
+  }
+  if ((m = /NOT NULL constraint failed: ([^.\s]+)\.(\S+)/i.exec(message))) {
+    return new NotNullError(message, { ...details, table: m[1], column: m[2] });
+  }
+  if (/FOREIGN KEY constraint failed/i.test(message)) {
+    return new ForeignKeyError(message, details);
+  }
+  if (/no such function: regexp/i.test(message)) {
+    return new SQLError(
+      `The regex operator needs a regexp() function, which this rqlite server does not provide (${message}). ` +
+      "Load a REGEXP extension into rqlite or use glob/contains instead.",
+      details
+    );
+  }
+  if (TRANSIENT_ERROR.test(message)) {
+    return new RqlinkError(message, details);
+  }
+  return new SQLError(message, details);
+}
+
+/**
+ * Checks whether an error must stop the failover loop
+ * SQL errors and authentication failures would fail identically on every node
+ * @param {Error} e - Error from a request attempt
+ * @returns {boolean} True if retrying on another node is pointless
+ */
+function isDeterministic(e) {
+  return e instanceof SQLError || e instanceof AuthError ||
+    (e instanceof RqlinkError && [400, 404, 413].includes(e.status));
+}
+
 // ============================================================================
 // SCHEMA CACHE WITH TTL
 // ============================================================================
@@ -98,6 +375,23 @@ const VALID_NAME = /^[a-zA-Z0-9_]+$/;
  */
 const SQLITE_TYPES = new Set(["INTEGER", "TEXT", "REAL", "BLOB", "NUMERIC"]);
 
+/**
+ * Column types holding numbers (aggregates and increments are numeric on these)
+ */
+const NUMERIC_TYPES = new Set(["INTEGER", "REAL", "NUMERIC"]);
+
+/**
+ * Atomic update operators and the SQL operator each applies to the current value
+ * `math` takes a raw expression string instead (deprecated in favour of the `e` builder)
+ */
+const UPDATE_OPERATORS = new Map([
+  ["increment", "+"],
+  ["decrement", "-"],
+  ["multiply", "*"],
+  ["divide", "/"],
+  ["math", null]
+]);
+
 /**
  * Safe regex for math expressions - allows basic arithmetic only
  * Characters allowed: letters, numbers, underscore, quotes, parentheses, 
@@ -171,6 +465,9 @@ function validateSchema(s) {
     if (!VALID_NAME.test(t)) {
       throw new Error(`Invalid table name: ${t}. Only alphanumeric and underscore allowed.`);
     }
+    if (t.startsWith("_rqlink_")) {
+      throw new Error(`Invalid table name: ${t}. The _rqlink_ prefix is reserved.`);
+    }
 
     const cfg = s[t];
 
@@ -179,14 +476,49 @@ function validateSchema(s) {
       throw new Error(`Missing config for table: ${t}`);
     }
 
-    const { base, port } = cfg.config;
+    const { base, port, shards, shardKey } = cfg.config;
 
-    // Validate base URLs and port
-    if (!port || typeof port !== "number") {
-      throw new Error(`Invalid port for table: ${t}`);
-    }
-    if (!Array.isArray(base) || base.length === 0) {
-      throw new Error(`Invalid base URLs for table: ${t}. Must be non-empty array.`);
+    // Validate base URLs and port, of the table or of each shard
+    if (shards === undefined) {
+      if (!port || typeof port !== "number") {
+        throw new Error(`Invalid port for table: ${t}`);
+      }
+      if (!Array.isArray(base) || base.length === 0) {
+        throw new Error(`Invalid base URLs for table: ${t}. Must be non-empty array.`);
+      }
+      if (shardKey !== undefined) {
+        throw new Error(`shardKey of table ${t} requires shards`);
+      }
+    } else {
+      if (!Array.isArray(shards) || shards.length === 0) {
+        throw new Error(`Invalid shards for table: ${t}. Must be a non-empty array of { base, port }.`);
+      }
+      if (base !== undefined || port !== undefined) {
+        throw new Error(`Table ${t} defines both base/port and shards; use one or the other`);
+      }
+      const seen = new Set();
+      shards.forEach((shard, i) => {
+        if (!isPlainObject(shard) || !shard.port || typeof shard.port !== "number") {
+          throw new Error(`Invalid port for shard ${i} of table: ${t}`);
+        }
+        if (!Array.isArray(shard.base) || shard.base.length === 0) {
+          throw new Error(`Invalid base URLs for shard ${i} of table: ${t}. Must be non-empty array.`);
+        }
+        const key = `${shard.port}|${JSON.stringify(sortBaseUrls(shard.base))}`;
+        if (seen.has(key)) {
+          throw new Error(`Shard ${i} of table ${t} repeats the cluster of another shard`);
+        }
+        seen.add(key);
+      });
+
+      // Rows are placed by their shard key, so it must be a fixed, hashable column
+      const def = typeof shardKey === "string" ? cfg.fields?.[shardKey] : undefined;
+      if (!def) {
+        throw new Error(`Invalid shardKey for table: ${t}. Must name a column of the table.`);
+      }
+      if (def.type?.toUpperCase() === "BLOB" || def.updatedAt) {
+        throw new Error(`shardKey ${t}.${shardKey} cannot be a BLOB or updatedAt column`);
+      }
     }
 
     // Validate each field definition
@@ -201,19 +533,381 @@ function validateSchema(s) {
         throw new Error(`Invalid type for ${t}.${col}. Must be one of: ${[...SQLITE_TYPES].join(', ')}`);
       }
 
+      // AUTOINCREMENT only exists on the rowid alias
+      if (def.autoIncrement && !isRowidKey(cfg, col)) {
+        throw new Error(`autoIncrement on ${t}.${col} requires a single INTEGER primary key`);
+      }
+
+      // Validate previous column name used for rename migrations
+      if (def.renamedFrom !== undefined && !VALID_NAME.test(def.renamedFrom)) {
+        throw new Error(`Invalid renamedFrom for ${t}.${col}`);
+      }
+
       // Validate default value if present
-      if (def.default !== undefined) {
+      if (isPlainObject(def.default)) {
+        const gen = def.default.generate;
+        if (typeof gen !== "function" && !Object.hasOwn(ID_GENERATORS, gen)) {
+          throw new Error(`Invalid default generator for ${t}.${col}. Use ${Object.keys(ID_GENERATORS).join(", ")} or a function.`);
+        }
+        if (typeof gen === "string" && def.type.toUpperCase() !== "TEXT") {
+          throw new Error(`Default generator "${gen}" for ${t}.${col} requires a TEXT column`);
+        }
+      } else if (def.default !== undefined) {
         const defVal = def.default;
         const defType = typeof defVal;
 
-        // Only allow safe default value types
+        // Only allow safe default value types; strings other than bare keywords
+        // (CURRENT_TIMESTAMP) are written as escaped SQL literals by defaultSQL
         if (defType !== "string" && defType !== "number" && defType !== "boolean") {
-          throw new Error(`Invalid default value type for ${t}.${col}. Must be string, number, or boolean.`);
+          throw new Error(`Invalid default value type for ${t}.${col}. Must be string, number, boolean or { generate }.`);
+        }
+        if (defType === "number" && !Number.isFinite(defVal)) {
+          throw new Error(`Invalid default value for ${t}.${col}. Numbers must be finite.`);
+        }
+      }
+
+      // Validate value constraints if present
+      if (def.enum !== undefined && (!Array.isArray(def.enum) || def.enum.length === 0)) {
+        throw new Error(`Invalid enum for ${t}.${col}. Must be a non-empty array.`);
+      }
+      for (const k of ["min", "max"]) {
+        if (def[k] !== undefined && typeof def[k] !== "number") {
+          throw new Error(`Invalid ${k} for ${t}.${col}. Must be a number.`);
+        }
+      }
+      if (def.maxLength !== undefined && (!Number.isInteger(def.maxLength) || def.maxLength < 0)) {
+        throw new Error(`Invalid maxLength for ${t}.${col}. Must be a non-negative integer.`);
+      }
+      if (def.pattern !== undefined && typeof def.pattern !== "string" && !(def.pattern instanceof RegExp)) {
+        throw new Error(`Invalid pattern for ${t}.${col}. Must be a string or RegExp.`);
+      }
+
+      // Validate managed timestamp columns
+      for (const k of ["createdAt", "updatedAt"]) {
+        if (def[k] === undefined) continue;
+        if (typeof def[k] !== "boolean") {
+          throw new Error(`Invalid ${k} for ${t}.${col}. Must be a boolean.`);
+        }
+        if (def[k] && (def.pk || def.type.toUpperCase() === "BLOB")) {
+          throw new Error(`${k} column ${t}.${col} must be a TEXT or numeric column that is not a primary key`);
+        }
+      }
+    }
+
+    // Validate relation definitions if present
+    if (cfg.relations) {
+      validateRelations(s, t, cfg);
+    }
+
+    // Validate the soft delete column if enabled
+    if (cfg.softDelete !== undefined && cfg.softDelete !== false) {
+      if (cfg.softDelete !== true && !(isPlainObject(cfg.softDelete) && typeof cfg.softDelete.field === "string")) {
+        throw new Error(`Invalid softDelete for table ${t}. Use true or { field: "deleted_at" }.`);
+      }
+      const field = softDeleteField(cfg);
+      const def = cfg.fields[field];
+      if (!def) {
+        throw new Error(`softDelete field "${field}" not found in table ${t}`);
+      }
+      if (def.pk || def.notNull || def.type.toUpperCase() === "BLOB") {
+        throw new Error(`softDelete field ${t}.${field} must be a nullable TEXT or numeric column`);
+      }
+    }
+
+    // Validate the full-text index if present
+    if (cfg.fullText !== undefined) {
+      const { fields, tokenize } = isPlainObject(cfg.fullText) ? cfg.fullText : {};
+      if (!Array.isArray(fields) || fields.length === 0) {
+        throw new Error(`Invalid fullText for table ${t}. Use { fields: ["col", ...], tokenize? }.`);
+      }
+      for (const f of fields) {
+        const def = cfg.fields[f];
+        if (!def) {
+          throw new Error(`fullText field "${f}" not found in table ${t}`);
+        }
+        if (def.type.toUpperCase() === "BLOB") {
+          throw new Error(`fullText field ${t}.${f} cannot be a BLOB column`);
+        }
+      }
+      if (tokenize !== undefined && (typeof tokenize !== "string" || !/^[a-zA-Z0-9_ ]+$/.test(tokenize))) {
+        throw new Error(`Invalid fullText tokenize for table ${t}. Only letters, digits, underscores and spaces allowed.`);
+      }
+      if (s[`${t}_fts`]) {
+        throw new Error(`Table ${t}_fts is reserved for the fullText index of ${t}`);
+      }
+    }
+
+    // Validate the query cache settings if present
+    if (cfg.cache !== undefined && cfg.cache !== false) {
+      validateCacheOption(cfg.cache, `table ${t}`);
+    }
+
+    // Validate lifecycle hooks if present
+    if (cfg.hooks !== undefined) {
+      if (!isPlainObject(cfg.hooks)) {
+        throw new Error(`Invalid hooks for table ${t}. Must be an object of functions.`);
+      }
+      for (const [name, fn] of Object.entries(cfg.hooks)) {
+        if (!TABLE_HOOKS.includes(name)) {
+          throw new Error(`Unknown hook "${name}" for table ${t}. Must be one of: ${TABLE_HOOKS.join(", ")}`);
+        }
+        if (typeof fn !== "function") {
+          throw new Error(`Hook ${t}.${name} must be a function`);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Checks whether a value is a plain object (not an array, Date, Buffer, ...)
+ * @param {*} v - Value to check
+ * @returns {boolean} True for object literals
+ */
+function isPlainObject(v) {
+  if (!v || typeof v !== "object") return false;
+  const proto = Object.getPrototypeOf(v);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Coerces a value to the declared SQLite type of its column
+ * Booleans become 1/0 and numeric strings numbers for numeric columns;
+ * Dates become ISO strings for TEXT and epoch milliseconds for numeric columns.
+ * Values are sent as JSON, so BigInts must fit a safe integer and binary buffers
+ * become arrays of byte values, which rqlite binds as BLOBs
+ * @param {*} val - Value to coerce
+ * @param {string} type - Declared SQLite type
+ * @returns {Object} {value} on success or {error} with a message
+ */
+function coerceValue(val, type) {
+  const numeric = (v) => {
+    if (typeof v === "number") return Number.isFinite(v) ? { value: v } : { error: "must be a finite number" };
+    if (typeof v === "bigint") {
+      return v >= Number.MIN_SAFE_INTEGER && v <= Number.MAX_SAFE_INTEGER
+        ? { value: Number(v) }
+        : { error: "must be a safe integer (BigInts beyond 2^53 - 1 cannot be sent)" };
+    }
+    if (typeof v === "string" && v.trim() !== "" && !isNaN(Number(v))) return { value: Number(v) };
+    if (v instanceof Date) return { value: v.getTime() };
+    return null;
+  };
+
+  switch (type) {
+    case "INTEGER": {
+      if (typeof val === "boolean") return { value: val ? 1 : 0 };
+      const n = numeric(val);
+      if (!n) return { error: "must be an integer" };
+      if (n.error) return n;
+      return Number.isInteger(n.value) ? n : { error: "must be an integer" };
+    }
+    case "NUMERIC": {
+      if (typeof val === "boolean") return { value: val ? 1 : 0 };
+      return numeric(val) || { error: "must be a number" };
+    }
+    case "REAL":
+      return numeric(val) || { error: "must be a number" };
+    case "TEXT":
+      if (typeof val === "string") return { value: val };
+      if (val instanceof Date) return { value: val.toISOString() };
+      return { error: "must be a string" };
+    case "BLOB":
+      if (typeof val === "string") return { value: val };
+      if (val instanceof Uint8Array) return { value: Array.from(val) };
+      return { error: "must be a string or binary buffer" };
+    default:
+      return { value: val };
+  }
+}
+
+/**
+ * Checks the optional enum, min/max, maxLength and pattern constraints of a field
+ * @param {*} val - Coerced value
+ * @param {Object} def - Column definition from schema
+ * @returns {string|null} Violation message or null
+ */
+function checkConstraints(val, def) {
+  if (def.enum && !def.enum.includes(val)) {
+    return `must be one of: ${def.enum.map(v => JSON.stringify(v)).join(", ")}`;
+  }
+  if (typeof val === "number" || typeof val === "bigint") {
+    if (def.min !== undefined && val < def.min) return `must be >= ${def.min}`;
+    if (def.max !== undefined && val > def.max) return `must be <= ${def.max}`;
+  }
+  if (typeof val === "string") {
+    if (def.maxLength !== undefined && val.length > def.maxLength) {
+      return `must be at most ${def.maxLength} characters`;
+    }
+    if (def.pattern !== undefined) {
+      const re = def.pattern instanceof RegExp ? def.pattern : new RegExp(def.pattern);
+      re.lastIndex = 0;
+      if (!re.test(val)) return `must match pattern ${re}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validates and coerces create/update data against the table schema
+ * Rejects unknown columns, enforces notNull, checks and coerces value types and
+ * applies per-field constraints. All violations are reported together.
+ * @param {string} tableName - Name of the table
+ * @param {Object} cfg - Table configuration
+ * @param {Object} data - Data to validate
+ * @param {string} mode - "create" (required columns enforced) or "update" (operators allowed)
+ * @returns {Object} Coerced copy of the data
+ * @throws {ValidationError} If any field is invalid
+ */
+function validateData(tableName, cfg, data, mode) {
+  if (!isPlainObject(data)) {
+    throw new ValidationError(tableName, [{ field: "data", message: "must be an object" }]);
+  }
+  data = applyGenerated(cfg, data, mode);
+
+  const errors = [];
+  const out = {};
+
+  for (let [field, val] of Object.entries(data)) {
+    const def = cfg.fields[field];
+    if (!def) {
+      errors.push({ field, message: "is not a column of this table" });
+      continue;
+    }
+    if (val === undefined) continue;
+
+    const type = def.type.toUpperCase();
+
+    // { set: value } is an explicit assignment, validated like a plain value
+    if (mode === "update" && isPlainObject(val) && Object.keys(val).length === 1 && "set" in val) {
+      val = val.set;
+      if (val === undefined) continue;
+    }
+
+    if (val instanceof Expr) {
+      // Columns and functions are checked when the expression is compiled
+      if (mode !== "update") {
+        errors.push({ field, message: "expressions are only supported in updates" });
+      } else {
+        out[field] = val;
+      }
+      continue;
+    }
+
+    if (val === null) {
+      // INTEGER primary keys are assigned by SQLite when NULL
+      if (def.notNull && !isRowidKey(cfg, field)) {
+        errors.push({ field, message: "cannot be null" });
+      } else {
+        out[field] = null;
+      }
+      continue;
+    }
+
+    // Update operators are validated by the SET builder
+    if (mode === "update" && isPlainObject(val)) {
+      const ops = Object.keys(val).filter(k => k !== "args");
+      const op = ops[0];
+      if (ops.length !== 1 || !UPDATE_OPERATORS.has(op) || (val.args !== undefined && op !== "math")) {
+        errors.push({ field, message: "has an unknown update operator" });
+      } else if (op !== "math") {
+        if (typeof val[op] !== "number" || !Number.isFinite(val[op])) {
+          errors.push({ field, message: `${op} must be a finite number` });
+        } else if (!NUMERIC_TYPES.has(type)) {
+          errors.push({ field, message: `${op} requires a numeric column` });
+        } else if (op === "divide" && val[op] === 0) {
+          errors.push({ field, message: "cannot divide by zero" });
         }
+      }
+      out[field] = val;
+      continue;
+    }
+
+    const res = coerceValue(val, type);
+    if (res.error) {
+      errors.push({ field, message: res.error });
+      continue;
+    }
+
+    const violation = checkConstraints(res.value, def);
+    if (violation) {
+      errors.push({ field, message: violation });
+      continue;
+    }
+
+    out[field] = res.value;
+  }
+
+  // Columns that cannot be NULL and have no default must be provided on create
+  if (mode === "create") {
+    for (const [field, def] of Object.entries(cfg.fields)) {
+      if (def.notNull && def.default === undefined && !isRowidKey(cfg, field) && data[field] === undefined) {
+        errors.push({ field, message: "is required" });
+      }
+    }
+  }
+
+  // Rows of sharded tables are placed by their shard key, which therefore cannot change
+  const { shardKey } = cfg.config;
+  if (shardKey && !errors.some(e => e.field === shardKey)) {
+    if (mode === "create" && (out[shardKey] === null || out[shardKey] === undefined)) {
+      errors.push({ field: shardKey, message: "is the shard key and is required" });
+    }
+    if (mode === "update" && data[shardKey] !== undefined) {
+      errors.push({ field: shardKey, message: "is the shard key and cannot be updated" });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(tableName, errors);
+  }
+  return out;
+}
+
+/**
+ * Allowed relation types for the `relations` block of a table
+ */
+const RELATION_TYPES = new Set(["oneToMany", "manyToOne", "manyToMany"]);
+
+/**
+ * Validates the relation definitions of a single table
+ * Checks that related tables and key columns exist in the schema
+ * @param {Object} s - Complete schema definition
+ * @param {string} t - Table name owning the relations
+ * @param {Object} cfg - Table configuration
+ * @throws {Error} If a relation definition is invalid
+ */
+function validateRelations(s, t, cfg) {
+  for (const [name, rel] of Object.entries(cfg.relations)) {
+    if (!VALID_NAME.test(name)) {
+      throw new Error(`Invalid relation name: ${name} in table ${t}`);
+    }
+    if (cfg.fields[name]) {
+      throw new Error(`Relation ${t}.${name} conflicts with a column of the same name`);
+    }
+    if (!rel || !RELATION_TYPES.has(rel.type)) {
+      throw new Error(`Invalid type for relation ${t}.${name}. Must be one of: ${[...RELATION_TYPES].join(', ')}`);
+    }
 
-        // Check string defaults for potential injection
-        if (defType === "string" && !(/^[A-Z_]+$/.test(defVal) || /^[a-zA-Z0-9_\s\-.]+$/.test(defVal))) {
-          throw new Error(`Unsafe default value for ${t}.${col}. Contains potentially dangerous characters.`);
+    const target = s[rel.model];
+    if (!target) {
+      throw new Error(`Relation ${t}.${name} references unknown table: ${rel.model}`);
+    }
+    if (!cfg.fields[rel.field]) {
+      throw new Error(`Relation ${t}.${name} uses unknown field: ${t}.${rel.field}`);
+    }
+    if (!target.fields[rel.references]) {
+      throw new Error(`Relation ${t}.${name} references unknown field: ${rel.model}.${rel.references}`);
+    }
+
+    // Many-to-many relations go through a join table holding both keys
+    if (rel.type === "manyToMany") {
+      const through = rel.through;
+      if (!through || !s[through.model]) {
+        throw new Error(`Relation ${t}.${name} requires a "through" join table defined in the schema`);
+      }
+      for (const col of [through.field, through.references]) {
+        if (!s[through.model].fields[col]) {
+          throw new Error(`Relation ${t}.${name} uses unknown join field: ${through.model}.${col}`);
         }
       }
     }
@@ -226,17 +920,18 @@ function validateSchema(s) {
 
 /**
  * Configures global rqlink settings
- * Merges provided options with existing configuration
+ * Merges provided options with existing configuration. Clients, tables and
+ * individual calls can override these defaults.
  * @param {Object} options - Configuration options to set
  * @example
  * configure({ timeout: 10000, verbose: true });
  */
 export function configure(options = {}) {
-  CONFIG = { ...CONFIG, ...options };
+  CONFIG = mergeOptions(CONFIG, options);
 }
 
 // ============================================================================
-// URL SORTING AND REQUEST HANDLING
+// URL SORTING
 // ============================================================================
 
 /**
@@ -253,764 +948,5966 @@ function sortBaseUrls(urls) {
   });
 }
 
+// ============================================================================
+// CLUSTER ROUTING AND NODE HEALTH
+// ============================================================================
+
 /**
- * Makes an HTTP request to rqlite with automatic failover
- * Tries each base URL in sequence until one succeeds
- * @param {string[]} baseUrls - Array of rqlite base URLs to try
- * @param {number} port - rqlite HTTP port
- * @param {string} path - API endpoint path (e.g., "/db/execute")
- * @param {Object} payload - Request body to send as JSON
+ * Routing state per cluster (port + base URLs): current leader and per-node health
+ * @type {Map<string, Object>}
+ */
+const CLUSTERS = new Map();
+
+/**
+ * rqlite error messages meaning the contacted node is not (or no longer) the leader
+ */
+const LEADERSHIP_ERROR = /not leader|leadership|leader not found/i;
+
+/**
+ * Builds the HTTP headers for a request to rqlite
  * @param {Object|null} auth - Optional authentication credentials {username, password}
- * @returns {Promise<Object>} Parsed JSON response from rqlite
- * @throws {Error} If all URLs fail or request times out
+ * @returns {Object} Header map
  */
-async function rqliteRequest(baseUrls, port, path, payload, auth = null) {
-  let lastError = null;
-  let attempt = 0;
+function requestHeaders(auth) {
+  const headers = { "Content-Type": "application/json" };
 
-  // Validate payload size to prevent DoS
-  const payloadStr = JSON.stringify(payload);
-  if (payloadStr.length > CONFIG.maxRequestSize) {
-    throw new Error(`Request payload too large: ${payloadStr.length} bytes exceeds limit of ${CONFIG.maxRequestSize} bytes`);
+  // Add Basic Auth if credentials provided
+  if (auth?.username && auth?.password) {
+    headers["Authorization"] = `Basic ${btoa(`${auth.username}:${auth.password}`)}`;
   }
 
-  // Try each base URL in sequence
-  for (const baseUrl of baseUrls) {
-    // Enforce TLS if requireTLS is enabled (for PHI/EMR compliance)
-    if (CONFIG.requireTLS && !baseUrl.startsWith("https://")) {
-      throw new Error(`Insecure connection blocked: ${baseUrl}. requireTLS is enabled.`);
-    }
+  return headers;
+}
 
-    // Apply exponential backoff delay after first attempt
-    if (attempt > 0 && CONFIG.retryDelay > 0) {
-      await new Promise(r => setTimeout(r, CONFIG.retryDelay * attempt));
-    }
-    attempt++;
+/**
+ * Returns (creating on first use) the routing state of a cluster
+ * @param {string[]} baseUrls - Base URLs of the cluster, in preference order
+ * @param {number} port - rqlite HTTP port
+ * @returns {Object} {key, port, baseUrls, leader, refreshedAt, discovering, next, nodes}
+ */
+function clusterState(baseUrls, port) {
+  const key = `${port}|${[...baseUrls].sort().join(",")}`;
+  let cluster = CLUSTERS.get(key);
 
-    const url = `${baseUrl}:${port}${path}`;
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), CONFIG.timeout);
+  if (!cluster) {
+    cluster = {
+      key,
+      port,
+      baseUrls: [...baseUrls],
+      leader: null,
+      refreshedAt: 0,
+      discovering: null,
+      next: 0,
+      nodes: new Map(baseUrls.map(u => [u, { failures: 0, open: false }]))
+    };
+    CLUSTERS.set(key, cluster);
+  }
 
-    try {
-      // Build request headers
-      const headers = { "Content-Type": "application/json" };
+  return cluster;
+}
 
-      // Add Basic Auth if credentials provided
-      if (auth?.username && auth?.password) {
-        headers["Authorization"] = `Basic ${btoa(`${auth.username}:${auth.password}`)}`;
-      }
+/**
+ * Maps an address reported by rqlite (api_addr, redirect Location) to a configured base URL
+ * @param {Object} cluster - Cluster routing state
+ * @param {string} addr - Address such as "http://10.0.0.2:4001" or "10.0.0.2:4001"
+ * @returns {string|null} Matching base URL, or null if the node is not configured
+ */
+function matchNode(cluster, addr) {
+  if (!addr) return null;
+
+  try {
+    const target = new URL(/^[a-z]+:\/\//i.test(addr) ? addr : `http://${addr}`);
+    if (target.port && Number(target.port) !== cluster.port) return null;
+    return cluster.baseUrls.find(u => new URL(u).hostname === target.hostname) || null;
+  } catch {
+    return null;
+  }
+}
 
-      // Make the HTTP request
-      const res = await fetch(url, {
-        method: "POST",
-        headers,
-        body: payloadStr,
-        signal: controller.signal
-      });
+/**
+ * Fetches a JSON status endpoint (/status, /nodes) of a single node
+ * @param {string} baseUrl - Node base URL
+ * @param {number} port - rqlite HTTP port
+ * @param {string} path - Endpoint path
+ * @param {Object|null} auth - Optional authentication credentials
+ * @param {number} timeout - Request timeout in milliseconds
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+async function fetchNodeJSON(baseUrl, port, path, auth, timeout) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const res = await fetch(`${baseUrl}:${port}${path}`, {
+      method: "GET",
+      headers: requestHeaders(auth),
+      signal: controller.signal
+    });
+    if (!res.ok) {
+      throw new RqlinkError(`HTTP ${res.status}`, { node: baseUrl, status: res.status });
+    }
+    return await res.json();
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
 
-      clearTimeout(timeoutId);
+/**
+ * Discovers the current leader of a cluster
+ * Asks /nodes first (one answer covers the whole cluster and reports unreachable
+ * nodes), then falls back to the raft state in each node's /status
+ * @param {Object} cluster - Cluster routing state
+ * @param {Object|null} auth - Optional authentication credentials
+ * @param {Object} o - Resolved configuration
+ * @returns {Promise<string|null>} Base URL of the leader, or null if unknown
+ */
+async function discoverLeader(cluster, auth, o) {
+  for (const baseUrl of cluster.baseUrls) {
+    if (cluster.nodes.get(baseUrl).open) continue;
 
-      // Check for HTTP errors
-      if (!res.ok) {
-        throw new Error(`HTTP ${res.status}`);
-      }
+    let json;
+    try {
+      json = await fetchNodeJSON(baseUrl, cluster.port, "/nodes", auth, o.timeout);
+    } catch {
+      continue;
+    }
 
-      // Parse and validate response
-      const json = await res.json();
-      const results = json.results || [];
+    // rqlite 8 answers {id: node}, newer versions {nodes: [node]} with ?ver=2
+    const nodes = Array.isArray(json?.nodes) ? json.nodes : Object.values(json || {});
+    for (const n of nodes) {
+      const url = matchNode(cluster, n?.api_addr);
+      if (url && n.reachable === false) openCircuit(cluster, url, auth, o);
+    }
 
-      // Check for rqlite-level errors in results
-      for (const r of results) {
-        if (r.error) {
-          throw new Error(`rqlite Error: ${r.error}`);
-        }
-      }
+    const leader = nodes.find(n => n?.leader);
+    return leader ? matchNode(cluster, leader.api_addr) : null;
+  }
 
-      return json;
-    } catch (e) {
-      clearTimeout(timeoutId);
-      lastError = e;
-      // Continue to next URL on failure
+  for (const baseUrl of cluster.baseUrls) {
+    try {
+      const status = await fetchNodeJSON(baseUrl, cluster.port, "/status", auth, o.timeout);
+      if (status?.store?.raft?.state === "Leader") return baseUrl;
+    } catch {
+      // Unreachable nodes are handled by the circuit breaker
     }
   }
 
-  // All URLs failed
-  throw new Error(`rqlite unreachable after ${attempt} attempts: ${lastError?.message}`);
+  return null;
 }
 
-// ============================================================================
-// SQL EXECUTION AND QUERY FUNCTIONS
-// ============================================================================
+/**
+ * Refreshes the leader of a cluster; concurrent callers share one discovery
+ * @param {Object} cluster - Cluster routing state
+ * @param {Object|null} auth - Optional authentication credentials
+ * @param {Object} o - Resolved configuration
+ * @returns {Promise<void>}
+ */
+function refreshLeader(cluster, auth, o) {
+  if (!cluster.discovering) {
+    cluster.discovering = discoverLeader(cluster, auth, o)
+      .then(leader => { cluster.leader = leader; })
+      .catch(() => { cluster.leader = null; })
+      .finally(() => {
+        cluster.refreshedAt = Date.now();
+        cluster.discovering = null;
+      });
+  }
+  return cluster.discovering;
+}
 
 /**
- * Executes a write SQL statement (INSERT, UPDATE, DELETE)
- * @param {string[]} baseUrls - rqlite base URLs
- * @param {number} port - rqlite HTTP port
- * @param {string} sql - SQL statement to execute
- * @param {Object} params - Named parameters for the query
+ * Marks a node unhealthy and re-probes its /status in the background until it answers
+ * @param {Object} cluster - Cluster routing state
+ * @param {string} baseUrl - Node base URL
  * @param {Object|null} auth - Optional authentication credentials
- * @returns {Promise<Object>} Query execution result
+ * @param {Object} o - Resolved configuration
  */
-export async function executeSQL(baseUrls, port, sql, params = {}, auth = null) {
-  // Only log in verbose mode during development - truncate for safety
-  if (CONFIG.verbose && process.env.NODE_ENV !== "production") {
-    const truncatedSql = sql.length > 200 ? sql.substring(0, 200) + "..." : sql;
-    console.log(`EXEC: ${truncatedSql}`, `[${Object.keys(params).length} params]`);
+function openCircuit(cluster, baseUrl, auth, o) {
+  const node = cluster.nodes.get(baseUrl);
+  if (node.open) return;
+
+  node.open = true;
+  if (cluster.leader === baseUrl) {
+    cluster.leader = null;
+    cluster.refreshedAt = 0;
   }
 
-  return await rqliteRequest(baseUrls, port, "/db/execute?named_parameters", [[sql, params]], auth);
+  const probe = () => {
+    const timer = setTimeout(async () => {
+      try {
+        await fetchNodeJSON(baseUrl, cluster.port, "/status", auth, o.timeout);
+        node.open = false;
+        node.failures = 0;
+      } catch {
+        probe();
+      }
+    }, o.circuitCooldown);
+
+    // Never keep the process alive just to probe
+    timer.unref?.();
+  };
+  probe();
 }
 
 /**
- * Executes a read SQL statement (SELECT)
- * Supports configurable consistency levels and freshness settings
- * @param {string[]} baseUrls - rqlite base URLs
- * @param {number} port - rqlite HTTP port
- * @param {string} sql - SQL SELECT statement
- * @param {Object} params - Named parameters for the query
+ * Records a failed request to a node, opening its circuit after repeated failures
+ * @param {Object} cluster - Cluster routing state
+ * @param {string} baseUrl - Node base URL
  * @param {Object|null} auth - Optional authentication credentials
- * @param {string|null} levelOverride - Optional consistency level override ("strong"|"none")
- * @returns {Promise<Object[]>} Array of result row objects
+ * @param {Object} o - Resolved configuration
  */
-export async function querySQL(baseUrls, port, sql, params = {}, auth = null, levelOverride = null) {
-  // Only log in verbose mode during development - truncate for safety
-  if (CONFIG.verbose && process.env.NODE_ENV !== "production") {
-    const truncatedSql = sql.length > 200 ? sql.substring(0, 200) + "..." : sql;
-    console.log(`QUERY: ${truncatedSql}`, `[${Object.keys(params).length} params]`);
+function recordFailure(cluster, baseUrl, auth, o) {
+  const node = cluster.nodes.get(baseUrl);
+  node.failures++;
+  if (node.failures >= o.circuitThreshold) {
+    openCircuit(cluster, baseUrl, auth, o);
   }
+}
 
-  let res;
+/**
+ * Orders the nodes of a cluster for one request
+ * Writes and strong reads go to the leader first; "none" reads rotate across
+ * healthy followers with the leader as fallback. Unhealthy nodes come last so
+ * they are only tried when everything else failed.
+ * @param {Object} cluster - Cluster routing state
+ * @param {string} path - API endpoint path including query string
+ * @param {Object|null} auth - Optional authentication credentials
+ * @param {Object} o - Resolved configuration
+ * @returns {Promise<string[]>} Base URLs in the order they should be tried
+ */
+async function routeNodes(cluster, path, auth, o) {
+  if (cluster.baseUrls.length > 1) {
+    if (!cluster.refreshedAt) {
+      await refreshLeader(cluster, auth, o);
+    } else if (Date.now() - cluster.refreshedAt > o.topologyTTL) {
+      // Keep routing with the known leader while re-discovering in the background
+      refreshLeader(cluster, auth, o);
+    }
+  }
 
-  // Determine consistency level - PRAGMA always uses strong consistency
-  const level = levelOverride || (/^\s*PRAGMA/i.test(sql) ? "strong" : "none");
-  const baseParams = "named_parameters";
+  const healthy = cluster.baseUrls.filter(u => !cluster.nodes.get(u).open);
+  const unhealthy = cluster.baseUrls.filter(u => cluster.nodes.get(u).open);
+  const leader = healthy.includes(cluster.leader) ? cluster.leader : null;
+  const followers = healthy.filter(u => u !== leader);
 
-  if (level === "strong") {
-    // Strong consistency - reads from leader
-    res = await rqliteRequest(baseUrls, port, `/db/query?${baseParams}&level=strong`, [[sql, params]], auth);
-  } else {
-    // Relaxed consistency with freshness parameter
-    const strict = CONFIG.freshness_strict ? "&freshness_strict" : "";
-    res = await rqliteRequest(
-      baseUrls,
-      port,
-      `/db/query?${baseParams}&level=none&freshness=${CONFIG.freshness}${strict}`,
-      [[sql, params]],
-      auth
-    );
+  if (path.startsWith("/db/query") && /[?&]level=none\b/.test(path)) {
+    const start = followers.length > 0 ? cluster.next++ % followers.length : 0;
+    const rotated = [...followers.slice(start), ...followers.slice(0, start)];
+    return [...rotated, ...(leader ? [leader] : []), ...unhealthy];
   }
 
-  // Transform column/value arrays to row objects
-  const r = res.results?.[0] || {};
-  const cols = r.columns || [];
-  const rows = r.values || [];
+  return [...(leader ? [leader] : []), ...followers, ...unhealthy];
+}
 
-  return rows.map(row => {
-    const obj = {};
-    cols.forEach((c, i) => obj[c] = row[i]);
-    return obj;
-  });
+/**
+ * Reports the routing state of every cluster contacted so far
+ * @returns {Object[]} One {port, leader, nodes: [{url, healthy, failures}]} entry per cluster
+ */
+export function clusterHealth() {
+  return [...CLUSTERS.values()].map(c => ({
+    port: c.port,
+    leader: c.leader,
+    nodes: c.baseUrls.map(url => ({
+      url,
+      healthy: !c.nodes.get(url).open,
+      failures: c.nodes.get(url).failures
+    }))
+  }));
 }
 
 // ============================================================================
-// QUERY BUILDER HELPERS
+// INSTRUMENTATION
 // ============================================================================
 
 /**
- * Builds a SELECT column list from a select object
- * @param {Object|null} select - Object specifying which columns to select
- * @param {string[]} availableFields - List of valid field names
- * @returns {string} SQL column list or "*"
+ * OpenTelemetry SpanKind.CLIENT and SpanStatusCode.ERROR, so no API package is needed
  */
-function buildSelect(select, availableFields) {
-  if (!select || Object.keys(select).length === 0) {
-    return "*";
-  }
+const SPAN_KIND_CLIENT = 2;
+const SPAN_STATUS_ERROR = 2;
 
-  const cols = Object.keys(select)
-    .filter(k => select[k] && availableFields.includes(k))
-    .map(quote);
+/**
+ * Span attribute name of each event field, following the OpenTelemetry database and
+ * HTTP semantic conventions where one exists
+ */
+const SPAN_ATTRIBUTES = {
+  table: "db.collection.name",
+  action: "db.operation.name",
+  sql: "db.query.text",
+  statements: "db.operation.batch.size",
+  node: "server.address",
+  url: "url.full",
+  status: "http.response.status_code",
+  attempts: "rqlite.attempts",
+  serverTimeMs: "rqlite.time_ms",
+  rows: "db.response.returned_rows",
+  rowsAffected: "rqlite.rows_affected",
+  durationMs: "rqlink.duration_ms"
+};
 
-  return cols.length > 0 ? cols.join(", ") : "*";
-}
+/**
+ * Request details of each rqlite result, so statement spans and events can name the
+ * node that served them, also when reads were coalesced into one request
+ */
+const servedBy = new WeakMap();
 
 /**
- * Builds a WHERE clause from a filter object
- * Supports operators: equals, not, gt, gte, lt, lte, contains, startsWith, endsWith, in
- * Also supports OR and NOT logical operators
- * @param {Object|null} where - Filter conditions
- * @param {string[]} availableFields - List of valid field names
- * @returns {Object} Object with {clause: string, params: Object}
+ * Adds the timings flag to an endpoint so rqlite reports how long it spent
+ * @param {string} path - API endpoint path, with or without a query string
+ * @returns {string} Path requesting timings
  */
-function buildWhere(where, availableFields) {
-  if (!where || Object.keys(where).length === 0) {
-    return { clause: "1=1", params: {} };
-  }
+function timingsPath(path) {
+  return `${path}${path.includes("?") ? "&" : "?"}timings`;
+}
 
-  const params = {};
-  let idx = 0;
+/**
+ * Converts an rqlite `time` (seconds) to milliseconds
+ * @param {number|undefined} time - Time reported by rqlite
+ * @returns {number|undefined} Milliseconds, or undefined when timings were not reported
+ */
+function serverTimeMs(time) {
+  return typeof time === "number" ? time * 1000 : undefined;
+}
 
-  /**
-   * Adds a parameter value and returns its placeholder
-   * Uses unique indexed keys to prevent collisions
-   */
-  const addParam = (val) => {
-    const key = `p_${idx++}`;
-    params[key] = val;
-    return `:${key}`;
-  };
+/**
+ * Builds the event fields describing one statement
+ * @param {Object} o - Resolved configuration of the request
+ * @param {string} sql - SQL statement
+ * @param {Object|Array} params - Statement parameters
+ * @returns {Object} {sql, params} with params redacted unless includeParams is set
+ */
+function statementFields(o, sql, params) {
+  return { sql, params: o.instrumentation.includeParams ? params : redactParams(params) };
+}
 
-  /**
-   * Recursively processes where conditions
-   * @param {Object} w - Where condition object
-   * @returns {string} SQL WHERE clause fragment
-   */
-  const process = (w) => {
-    const parts = [];
+/**
+ * Converts event fields to span attributes
+ * Parameters become db.query.parameter.<name> attributes; undefined values are left out
+ * @param {Object} data - Event fields
+ * @returns {Object} Span attributes
+ */
+function spanAttributes(data) {
+  const attributes = {};
+  for (const [k, name] of Object.entries(SPAN_ATTRIBUTES)) {
+    if (data[k] !== undefined && data[k] !== null) attributes[name] = data[k];
+  }
+  if (data.params && typeof data.params === "object") {
+    for (const [k, v] of Object.entries(data.params)) {
+      attributes[`db.query.parameter.${k}`] = typeof v === "string" ? v : JSON.stringify(v) ?? String(v);
+    }
+  }
+  return attributes;
+}
 
-    for (const [key, val] of Object.entries(w)) {
-      // Handle OR operator
-      if (key === "OR") {
-        parts.push(`(${val.map(v => process(v)).join(" OR ")})`);
-      }
-      // Handle NOT operator
-      else if (key === "NOT") {
-        parts.push(`NOT (${process(val)})`);
-      }
-      // Handle field conditions
-      else {
-        // Validate field exists in schema
-        if (!availableFields.includes(key)) {
-          throw new Error(`Field "${key}" not found in schema`);
-        }
+/**
+ * Runs one step of a request under the `instrumentation` option {tracer?, events?, includeParams?}
+ * `tracer` is an OpenTelemetry Tracer (or any object with startSpan/startActiveSpan) and
+ * `events` an EventEmitter (or any object with emit) receiving "request", "query",
+ * "execute" and "batch" events; parameter values are redacted unless includeParams is set.
+ * Without instrumentation the step simply runs. Otherwise it is wrapped in a span
+ * (startActiveSpan when the tracer has it, so nested steps become child spans) and an
+ * event is emitted when it ends. The step reports its results through report(fields);
+ * table and action come from the `operation` option.
+ * @param {Object} o - Resolved configuration of the request
+ * @param {string} name - Span and event name suffix ("request", "query", "execute" or "batch")
+ * @param {Object} fields - Event fields known up front
+ * @param {Function} run - async (report) => result
+ * @returns {Promise<*>} Result of run
+ */
+async function instrumented(o, name, fields, run) {
+  const inst = o.instrumentation;
+  if (!inst) return run(() => {});
 
-        const qk = quote(key);
+  const started = performance.now();
+  const data = { table: o.operation?.table, action: o.operation?.action, ...fields };
+  const report = (more) => Object.assign(data, more);
 
-        // Handle NULL check
-        if (val === null) {
-          parts.push(`${qk} IS NULL`);
-        }
-        // Handle simple equality
-        else if (typeof val !== "object") {
-          parts.push(`${qk} = ${addParam(val)}`);
-        }
-        // Handle comparison operators
-        else {
-          for (const [op, opV] of Object.entries(val)) {
-            switch (op) {
-              case "equals":
-                parts.push(`${qk} = ${addParam(opV)}`);
-                break;
-              case "not":
-                parts.push(`${qk} != ${addParam(opV)}`);
-                break;
-              case "gt":
-                parts.push(`${qk} > ${addParam(opV)}`);
-                break;
-              case "gte":
-                parts.push(`${qk} >= ${addParam(opV)}`);
-                break;
-              case "lt":
-                parts.push(`${qk} < ${addParam(opV)}`);
-                break;
-              case "lte":
-                parts.push(`${qk} <= ${addParam(opV)}`);
-                break;
-              case "contains":
-                parts.push(`${qk} LIKE ${addParam(`%${opV}%`)}`);
-                break;
-              case "startsWith":
-                parts.push(`${qk} LIKE ${addParam(`${opV}%`)}`);
-                break;
-              case "endsWith":
-                parts.push(`${qk} LIKE ${addParam(`%${opV}`)}`);
-                break;
-              case "in":
-                if (opV.length === 0) {
-                  parts.push("1=0"); // Empty IN clause always false
-                } else {
-                  parts.push(`${qk} IN (${opV.map(v => addParam(v)).join(", ")})`);
-                }
-                break;
-              default:
-                throw new Error(`Unknown operator: ${op}`);
-            }
-          }
+  const body = async (span) => {
+    try {
+      return await run(report);
+    } catch (e) {
+      // Typed errors name the node (and the attempts of a failed failover) themselves
+      data.error = e;
+      data.node ??= e?.node;
+      data.status ??= e?.status;
+      data.attempts ??= e?.attempts;
+      throw e;
+    } finally {
+      data.durationMs = performance.now() - started;
+      if (span) {
+        span.setAttributes(spanAttributes(data));
+        if (data.error) {
+          span.recordException(data.error);
+          span.setStatus({ code: SPAN_STATUS_ERROR, message: data.error.message });
         }
+        span.end();
       }
+      inst.events?.emit(name, data);
     }
-
-    return parts.join(" AND ");
   };
 
-  return { clause: process(where), params };
+  const tracer = inst.tracer;
+  if (!tracer) return body(null);
+  const spanOptions = { kind: SPAN_KIND_CLIENT, attributes: { "db.system": "rqlite", ...spanAttributes(data) } };
+  return typeof tracer.startActiveSpan === "function"
+    ? tracer.startActiveSpan(`rqlite.${name}`, spanOptions, body)
+    : body(tracer.startSpan(`rqlite.${name}`, spanOptions));
 }
 
-// ============================================================================
-// MODEL BUILDER
-// ============================================================================
-
 /**
- * Builds a model object with CRUD methods for a table
+ * Wraps a model so every request of an action carries {table, action} as its `operation`
+ * Calls an action makes internally (findUnique -> findMany, included relations) keep the
+ * outer action; iterate() and exportTo() pages report findMany
  * @param {string} tableName - Name of the table
- * @param {Object} cfg - Table configuration from schema
- * @returns {Object} Model object with create, findMany, update, delete, count methods
+ * @param {Object} model - Model built by buildModel
+ * @returns {Object} Model with the same methods
  */
-function buildModel(tableName, cfg) {
-  const baseUrls = sortBaseUrls(cfg.config.base);
-  const { port, username, password } = cfg.config;
-  const auth = (username && password) ? { username, password } : null;
-  const fields = Object.keys(cfg.fields);
-  const qTable = quote(tableName);
+function withOperation(tableName, model) {
+  const wrapped = { ...model };
 
-  return {
-    /**
-     * Creates a new record in the table
-     * @param {Object} options - {data: Object, select?: Object}
-     * @returns {Promise<Object>} Created record
-     */
-    async create({ data, select }) {
-      const cols = Object.keys(data);
-      const sql = `INSERT INTO ${qTable} (${cols.map(quote).join(", ")}) VALUES (${cols.map(c => `:${c}`).join(", ")}) RETURNING *;`;
+  for (const action of Object.keys(ACTION_HOOKS)) {
+    wrapped[action] = (args = {}) => model[action]({ ...args, operation: { table: tableName, action } });
+  }
+  wrapped.importFrom = (stream, args = {}) =>
+    model.importFrom(stream, { ...args, operation: { table: tableName, action: "importFrom" } });
 
-      const res = await executeSQL(baseUrls, port, sql, data, auth);
-      const r = res.results?.[0] || {};
+  return wrapped;
+}
 
-      if (r.values?.length > 0) {
-        const obj = {};
-        r.columns.forEach((c, i) => obj[c] = r.values[0][i]);
+// ============================================================================
+// REQUEST HANDLING
+// ============================================================================
 
-        // Apply select filter if provided
-        if (select) {
-          return Object.fromEntries(
-            Object.keys(select).filter(k => select[k]).map(k => [k, obj[k]])
-          );
-        }
-        return obj;
-      }
+/**
+ * Extracts error context for one statement of a request payload
+ * @param {Array} payload - Request body (array of statements)
+ * @param {number} i - Statement index
+ * @returns {Object} {sql, params} with redacted params, or {} when unavailable
+ */
+function statementContext(payload, i) {
+  const st = Array.isArray(payload) ? payload[i] : undefined;
+  if (st === undefined) return {};
+  if (typeof st === "string") return { sql: st };
+  return { sql: st[0], params: redactParams(st[1]) };
+}
 
-      return data;
-    },
+/**
+ * Network error codes raised before a request reached the node
+ * Any other transport failure may have happened after the node applied a write
+ */
+const NOT_SENT_ERROR = /^(ECONNREFUSED|ENOTFOUND|EAI_AGAIN|EHOSTUNREACH|ENETUNREACH|UND_ERR_CONNECT_TIMEOUT)$/;
 
-    /**
-     * Finds multiple records matching the filter
-     * @param {Object} options - {where?, select?, orderBy?, limit?, offset?, level?}
-     * @returns {Promise<Object[]>} Array of matching records
-     */
-    async findMany({ where, select, orderBy, limit, offset, level } = {}) {
-      const { clause, params } = buildWhere(where, fields);
-      const sel = buildSelect(select, fields);
+/**
+ * rqlite replies that reject a request before it is applied: a follower refusing to
+ * handle it. "leadership lost while committing" is not one of them, the entry may commit.
+ */
+const NOT_APPLIED_ERROR = /not leader|leader not found/i;
 
-      let sql = `SELECT ${sel} FROM ${qTable} WHERE ${clause}`;
+/**
+ * Checks whether a failed attempt may still have been applied by the node
+ * Only a request that never reached the node, a redirect, a 4xx rejection or an explicit
+ * "not leader" reply is known not to be applied; 5xx responses, transient rqlite errors
+ * (e.g. a timeout while committing), timeouts and dropped connections leave the outcome unknown
+ * @param {Error} e - Error from a request attempt
+ * @returns {boolean} True if the node may have applied the request
+ */
+function outcomeUnknown(e) {
+  if (e instanceof RqlinkError) {
+    if (e.status >= 300 && e.status < 500) return false;
+    return !NOT_APPLIED_ERROR.test(e.message);
+  }
+  const code = e?.cause?.code || e?.code;
+  return !NOT_SENT_ERROR.test(code || "");
+}
 
-      // Add ORDER BY if specified
-      if (orderBy) {
-        const orders = (Array.isArray(orderBy) ? orderBy : [orderBy]).map(o => {
-          const [col, dir] = Object.entries(o)[0];
-          const d = dir.toUpperCase();
-          if (d !== "ASC" && d !== "DESC") {
-            throw new Error("Invalid order direction. Use 'ASC' or 'DESC'.");
-          }
-          return `${quote(col)} ${d}`;
-        });
-        sql += ` ORDER BY ${orders.join(", ")}`;
+/**
+ * Computes the delay before a retry
+ * @param {Object} policy - Resolved retry policy
+ * @param {number} retry - Retry number, starting at 1
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(policy, retry) {
+  const exp = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (retry - 1));
+  if (policy.jitter === "full") return Math.random() * exp;
+  if (policy.jitter === "equal") return exp / 2 + Math.random() * (exp / 2);
+  return exp;
+}
+
+/**
+ * Makes an HTTP request to rqlite with automatic failover
+ * Nodes are tried in the order chosen by routeNodes (leader first for writes and
+ * strong reads, rotating followers for "none" reads). SQL errors and
+ * authentication failures stop the loop immediately since every node would
+ * reject the request the same way. A leadership change re-discovers the leader
+ * and tries it next. Other failures are retried with exponential backoff following
+ * the retry policy, cycling through the nodes; writes (/db/execute) are not resent
+ * once their outcome is unknown unless the caller marks them idempotent.
+ * @param {string[]} baseUrls - Array of rqlite base URLs to try
+ * @param {number} port - rqlite HTTP port
+ * @param {string} path - API endpoint path (e.g., "/db/execute")
+ * @param {Object} payload - Request body to send as JSON
+ * @param {Object|null} auth - Optional authentication credentials {username, password}
+ * @param {Object} [options] - Overrides of the global configuration, plus an optional AbortSignal
+ * @returns {Promise<Object>} Parsed JSON response from rqlite
+ * @throws {SQLError} If rqlite rejects a statement (or a subclass such as UniqueConstraintError)
+ * @throws {AuthError} If the credentials are rejected
+ * @throws {TimeoutError} If every attempt timed out (outcomeUnknown set for writes)
+ * @throws {NodeUnreachableError} If no node could serve the request (outcomeUnknown set for writes)
+ */
+async function rqliteRequest(baseUrls, port, path, payload, auth = null, options = {}) {
+  const o = mergeOptions(CONFIG, options);
+
+  // Instrumented requests ask rqlite for its timings
+  return instrumented(o, "request", { path, statements: payload.length }, (report) =>
+    sendRequest(baseUrls, port, o.instrumentation ? timingsPath(path) : path, payload, auth, o, report)
+  );
+}
+
+/**
+ * Runs the failover loop of rqliteRequest
+ * @param {string[]} baseUrls - Array of rqlite base URLs to try
+ * @param {number} port - rqlite HTTP port
+ * @param {string} path - API endpoint path
+ * @param {Object} payload - Request body to send as JSON
+ * @param {Object|null} auth - Optional authentication credentials
+ * @param {Object} o - Resolved configuration
+ * @param {Function} report - Receives {node, url, attempts, status, ...} for instrumentation
+ * @returns {Promise<Object>} Parsed JSON response from rqlite
+ */
+async function sendRequest(baseUrls, port, path, payload, auth, o, report) {
+  const policy = { ...RETRY_POLICY, baseDelay: o.retryDelay, ...o.retry };
+  const idempotent = o.idempotent ?? path.startsWith("/db/query");
+  const failures = [];
+  let attempt = 0;
+
+  // Single-statement requests carry their SQL in transport errors too
+  const requestContext = Array.isArray(payload) && payload.length === 1 ? statementContext(payload, 0) : {};
+
+  // Validate payload size to prevent DoS
+  const payloadStr = JSON.stringify(payload);
+  if (payloadStr.length > o.maxRequestSize) {
+    throw new RqlinkError(`Request payload too large: ${payloadStr.length} bytes exceeds limit of ${o.maxRequestSize} bytes`, requestContext);
+  }
+
+  // A caller abort ends the request instead of failing over
+  const aborted = (node) => new RqlinkError("Request aborted", { ...requestContext, node, cause: o.signal.reason });
+  if (o.signal?.aborted) {
+    throw aborted(undefined);
+  }
+
+  const cluster = clusterState(baseUrls, port);
+  const queue = await routeNodes(cluster, path, auth, o);
+  const maxAttempts = Math.max(1, policy.maxAttempts ?? Math.max(3, queue.length));
+  let i = 0;
+  let unknown = false;
+
+  // Cycle through the nodes in routing order until the policy gives up
+  while (attempt < maxAttempts) {
+    const baseUrl = queue[i % queue.length];
+
+    // Enforce TLS if requireTLS is enabled (for PHI/EMR compliance)
+    if (o.requireTLS && !baseUrl.startsWith("https://")) {
+      throw new RqlinkError(`Insecure connection blocked: ${baseUrl}. requireTLS is enabled.`, { node: baseUrl });
+    }
+    attempt++;
+
+    const url = `${baseUrl}:${port}${path}`;
+    report({ node: baseUrl, url, attempts: attempt, status: undefined });
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), o.timeout);
+    const signal = o.signal ? AbortSignal.any([controller.signal, o.signal]) : controller.signal;
+    let location = null;
+
+    try {
+      // Make the HTTP request; redirects are handled below so the body is never dropped
+      const res = await fetch(url, {
+        method: "POST",
+        headers: requestHeaders(auth),
+        body: payloadStr,
+        signal,
+        redirect: "manual"
+      });
+
+      clearTimeout(timeoutId);
+      report({ status: res.status });
+
+      // A follower redirecting to the leader is a leadership change
+      if (res.status >= 300 && res.status < 400) {
+        location = res.headers?.get("location");
+        throw new RqlinkError(`not leader (HTTP ${res.status})`, { ...requestContext, node: baseUrl, status: res.status });
+      }
+
+      // Check for HTTP errors
+      if (!res.ok) {
+        const details = { ...requestContext, node: baseUrl, status: res.status };
+        if (res.status === 401 || res.status === 403) {
+          throw new AuthError(`rqlite rejected credentials (HTTP ${res.status})`, details);
+        }
+        throw new RqlinkError(`HTTP ${res.status}`, details);
+      }
+
+      // Parse and validate response
+      const json = await res.json();
+      const results = json.results || [];
+
+      if (json.error) {
+        throw sqlErrorFrom(json.error, { ...requestContext, node: baseUrl });
       }
 
-      // Add LIMIT with validation
-      if (limit !== undefined) {
-        if (!Number.isInteger(limit) || limit < 0) {
-          throw new Error("Invalid limit. Must be a non-negative integer.");
+      // Check for rqlite-level errors in results
+      for (let j = 0; j < results.length; j++) {
+        if (results[j].error) {
+          throw sqlErrorFrom(results[j].error, { ...statementContext(payload, j), node: baseUrl });
         }
-        sql += ` LIMIT ${limit}`;
       }
 
-      // Add OFFSET with validation
-      if (offset !== undefined) {
-        if (!Number.isInteger(offset) || offset < 0) {
-          throw new Error("Invalid offset. Must be a non-negative integer.");
+      cluster.nodes.get(baseUrl).failures = 0;
+      if (o.instrumentation) {
+        report({
+          serverTimeMs: serverTimeMs(json.time),
+          rows: results.reduce((n, r) => n + (r.values?.length || 0), 0),
+          rowsAffected: path.startsWith("/db/execute")
+            ? results.reduce((n, r) => n + (r.rows_affected || 0), 0)
+            : undefined
+        });
+        for (const r of results) servedBy.set(r, { node: baseUrl, url, attempts: attempt, status: res.status });
+      }
+      return json;
+    } catch (e) {
+      clearTimeout(timeoutId);
+
+      if (o.signal?.aborted) {
+        throw aborted(baseUrl);
+      }
+
+      const timedOut = e?.name === "AbortError";
+      failures.push({ node: baseUrl, message: timedOut ? `timed out after ${o.timeout}ms` : e.message, timedOut, error: e });
+
+      // Deterministic failures would fail the same way on every node
+      const retryable = policy.retryOn
+        ? policy.retryOn(e, { attempt, node: baseUrl, idempotent })
+        : !isDeterministic(e);
+      if (!retryable) {
+        if (isDeterministic(e)) throw e;
+        break;
+      }
+
+      if (LEADERSHIP_ERROR.test(e.message)) {
+        // The node is healthy but not the leader: find the leader and try it next
+        const hinted = matchNode(cluster, location);
+        if (hinted) {
+          cluster.leader = hinted;
+        } else {
+          await refreshLeader(cluster, auth, o);
+        }
+
+        const leader = cluster.leader;
+        const at = queue.indexOf(leader);
+        if (leader && leader !== baseUrl && at !== -1) {
+          queue.splice(at, 1);
+          queue.splice(queue.indexOf(baseUrl) + 1, 0, leader);
+          i = queue.indexOf(baseUrl);
         }
-        sql += ` OFFSET ${offset}`;
+      } else {
+        recordFailure(cluster, baseUrl, auth, o);
       }
 
-      return await querySQL(baseUrls, port, sql, params, auth, level);
-    },
+      // A write that may have been applied must not be sent again
+      if (!idempotent && outcomeUnknown(e)) {
+        unknown = true;
+        break;
+      }
+    }
 
-    /**
-     * Finds a single unique record
-     * @param {Object} args - Same as findMany
-     * @returns {Promise<Object|null>} Matching record or null
-     */
-    async findUnique(args) {
-      return (await this.findMany({ ...args, limit: 1 }))[0] || null;
-    },
+    i++;
+    if (attempt < maxAttempts) {
+      const delay = backoffDelay(policy, attempt);
+      const last = failures[failures.length - 1];
+      policy.onRetry?.({ attempt, delay, error: last.error, node: last.node, nextNode: queue[i % queue.length] });
+      if (delay > 0) {
+        await new Promise(r => setTimeout(r, delay));
+      }
+    }
+  }
 
-    /**
-     * Finds the first matching record
-     * @param {Object} args - Same as findMany
-     * @returns {Promise<Object|null>} First matching record or null
-     */
-    async findFirst(args) {
-      return (await this.findMany({ ...args, limit: 1 }))[0] || null;
-    },
+  // The policy gave up
+  const last = failures[failures.length - 1];
+  const details = {
+    ...requestContext,
+    node: last?.node,
+    cause: last?.error,
+    attempts: attempt,
+    errors: failures.map(({ node, message }) => ({ node, message }))
+  };
+  const note = unknown ? "; the write may have been applied" : "";
+
+  let error;
+  if (failures.length > 0 && failures.every(f => f.timedOut)) {
+    const { attempts, errors, ...rest } = details;
+    error = new TimeoutError(`rqlite request timed out after ${attempt} attempts${note}`, rest);
+  } else {
+    error = new NodeUnreachableError(`rqlite unreachable after ${attempt} attempts: ${last?.message}${note}`, details);
+  }
+  error.outcomeUnknown = unknown;
+  throw error;
+}
+
+// ============================================================================
+// READ COALESCING
+// ============================================================================
+
+/**
+ * Reads waiting for the end of the current tick, keyed by cluster, endpoint and options
+ */
+const pendingReads = new Map();
+
+/**
+ * Identities of callback options (e.g. retry.onRetry) and of the instrumentation object,
+ * so reads only share a request when they use the same ones
+ */
+const callbackIds = new WeakMap();
+let nextCallbackId = 0;
+
+/**
+ * Builds the key under which reads share a request
+ * Reads are only combined when each would have been sent the same way on its own
+ * @param {string[]} baseUrls - rqlite base URLs
+ * @param {number} port - rqlite HTTP port
+ * @param {string} path - Query endpoint including level and freshness
+ * @param {Object|null} auth - Authentication credentials
+ * @param {Object} options - Overrides of the global configuration
+ * @returns {string} Batch key
+ */
+function readBatchKey(baseUrls, port, path, auth, options) {
+  return JSON.stringify([port, baseUrls, path, auth, options], (k, v) => {
+    if (typeof v !== "function" && !(k === "instrumentation" && v)) return v;
+    if (!callbackIds.has(v)) callbackIds.set(v, nextCallbackId++);
+    return `fn#${callbackIds.get(v)}`;
+  });
+}
+
+/**
+ * Queues a read to be sent with the other reads of the current tick
+ * Identical statements are sent once and their result is shared. Reads of different
+ * model calls share a request, so the request itself carries no `operation`.
+ * @param {string[]} baseUrls - rqlite base URLs
+ * @param {number} port - rqlite HTTP port
+ * @param {string} path - Query endpoint including level and freshness
+ * @param {Array} statement - [sql, params]
+ * @param {Object|null} auth - Authentication credentials
+ * @param {Object} options - Overrides of the global configuration
+ * @returns {Promise<Object>} The rqlite result of the statement
+ */
+function enqueueRead(baseUrls, port, path, statement, auth, { operation, ...options }) {
+  const key = readBatchKey(baseUrls, port, path, auth, options);
+  let batch = pendingReads.get(key);
+
+  if (!batch) {
+    batch = { baseUrls, port, path, auth, options, statements: new Map() };
+    pendingReads.set(key, batch);
+
+    // setImmediate runs after every promise continuation of this tick, so reads
+    // started together still share a request after a few awaits in between
+    setImmediate(() => {
+      pendingReads.delete(key);
+      flushReads(batch);
+    });
+  }
+
+  const id = JSON.stringify(statement);
+  let entry = batch.statements.get(id);
+  if (!entry) {
+    entry = { statement, waiters: [] };
+    batch.statements.set(id, entry);
+  }
+
+  return new Promise((resolve, reject) => entry.waiters.push({ resolve, reject }));
+}
+
+/**
+ * Sends the queued reads of a batch, split into requests below maxRequestSize
+ * @param {Object} batch - Batch created by enqueueRead
+ */
+function flushReads(batch) {
+  const { maxRequestSize } = mergeOptions(CONFIG, batch.options);
+  let group = [];
+  let size = 2;
+
+  for (const [id, entry] of batch.statements) {
+    // Statements are joined with commas inside the outer JSON array
+    if (group.length > 0 && size + 1 + id.length > maxRequestSize) {
+      sendReads(batch, group);
+      group = [];
+      size = 2;
+    }
+    size += (group.length > 0 ? 1 : 0) + id.length;
+    group.push(entry);
+  }
+  if (group.length > 0) sendReads(batch, group);
+}
+
+/**
+ * Sends one multi-statement read request and settles every waiting caller
+ * rqlite rejects the whole request when one statement fails, so after an SQL error
+ * each statement is sent again on its own and only its callers see the error
+ * @param {Object} batch - Batch created by enqueueRead
+ * @param {Object[]} entries - Queued statements with their waiting callers
+ * @returns {Promise<void>}
+ */
+async function sendReads(batch, entries) {
+  const { baseUrls, port, path, auth, options } = batch;
+
+  try {
+    const res = await rqliteRequest(baseUrls, port, path, entries.map(e => e.statement), auth, options);
+    entries.forEach((entry, i) => {
+      for (const w of entry.waiters) w.resolve(res.results?.[i]);
+    });
+  } catch (e) {
+    if (entries.length > 1 && e instanceof SQLError) {
+      await Promise.all(entries.map(entry => sendReads(batch, [entry])));
+      return;
+    }
+    for (const entry of entries) {
+      for (const w of entry.waiters) w.reject(e);
+    }
+  }
+}
+
+// ============================================================================
+// SQL EXECUTION AND QUERY FUNCTIONS
+// ============================================================================
+
+/**
+ * Executes a write SQL statement (INSERT, UPDATE, DELETE)
+ * @param {string[]} baseUrls - rqlite base URLs
+ * @param {number} port - rqlite HTTP port
+ * @param {string} sql - SQL statement to execute
+ * @param {Object} params - Named parameters for the query
+ * @param {Object|null} auth - Optional authentication credentials
+ * @param {Object} [options] - Overrides of the global configuration (timeout, signal, ...)
+ * @returns {Promise<Object>} Query execution result
+ */
+export async function executeSQL(baseUrls, port, sql, params = {}, auth = null, options = {}) {
+  const o = mergeOptions(CONFIG, options);
+
+  // Only log in verbose mode during development - truncate for safety
+  if (o.verbose && process.env.NODE_ENV !== "production") {
+    const truncatedSql = sql.length > 200 ? sql.substring(0, 200) + "..." : sql;
+    console.log(`EXEC: ${truncatedSql}`, `[${Object.keys(params).length} params]`);
+  }
+
+  return instrumented(o, "execute", o.instrumentation && statementFields(o, sql, params), async (report) => {
+    const res = await rqliteRequest(baseUrls, port, "/db/execute?named_parameters", [[sql, params]], auth, options);
+    const r = res.results?.[0] || {};
+    report({
+      ...servedBy.get(r),
+      serverTimeMs: serverTimeMs(r.time),
+      rows: r.values?.length,
+      rowsAffected: r.rows_affected || 0
+    });
+    return res;
+  });
+}
+
+/**
+ * Executes a read SQL statement (SELECT)
+ * Supports configurable consistency levels and freshness settings. Unless
+ * coalesceReads is off or a signal is given, reads issued in the same tick for the
+ * same cluster, level and options are sent together as one request
+ * @param {string[]} baseUrls - rqlite base URLs
+ * @param {number} port - rqlite HTTP port
+ * @param {string} sql - SQL SELECT statement
+ * @param {Object} params - Named parameters for the query
+ * @param {Object|null} auth - Optional authentication credentials
+ * @param {string|null} levelOverride - Optional consistency level override ("strong"|"none")
+ * @param {Object} [options] - Overrides of the global configuration (timeout, freshness, signal, ...)
+ * @returns {Promise<Object[]>} Array of result row objects
+ */
+export async function querySQL(baseUrls, port, sql, params = {}, auth = null, levelOverride = null, options = {}) {
+  const o = mergeOptions(CONFIG, options);
+
+  // Only log in verbose mode during development - truncate for safety
+  if (o.verbose && process.env.NODE_ENV !== "production") {
+    const truncatedSql = sql.length > 200 ? sql.substring(0, 200) + "..." : sql;
+    console.log(`QUERY: ${truncatedSql}`, `[${Object.keys(params).length} params]`);
+  }
+
+  // Determine consistency level - PRAGMA always uses strong consistency
+  const level = levelOverride || (/^\s*PRAGMA/i.test(sql) ? "strong" : "none");
+  const baseParams = "named_parameters";
+
+  // Strong consistency reads from the leader; relaxed reads use the freshness parameter
+  const path = level === "strong"
+    ? `/db/query?${baseParams}&level=strong`
+    : `/db/query?${baseParams}&level=none&freshness=${encodeURIComponent(o.freshness)}${o.freshness_strict ? "&freshness_strict" : ""}`;
+
+  return instrumented(o, "query", o.instrumentation && statementFields(o, sql, params), async (report) => {
+    // A caller's signal must only abort its own read, so those are sent alone
+    const result = o.coalesceReads && !o.signal
+      ? await enqueueRead(baseUrls, port, path, [sql, params], auth, options)
+      : (await rqliteRequest(baseUrls, port, path, [[sql, params]], auth, options)).results?.[0];
+
+    // Transform column/value arrays to row objects
+    const rows = resultRows(result);
+    report({ ...(result && servedBy.get(result)), serverTimeMs: serverTimeMs(result?.time), rows: rows.length });
+    return rows;
+  });
+}
+
+/**
+ * Executes several write statements as one transaction
+ * @param {string[]} baseUrls - rqlite base URLs
+ * @param {number} port - rqlite HTTP port
+ * @param {Array[]} statements - [sql, params] pairs
+ * @param {Object|null} auth - Optional authentication credentials
+ * @param {Object} [options] - Overrides of the global configuration (timeout, signal, ...)
+ * @returns {Promise<Object>} rqlite response with one result per statement
+ */
+async function executeBatch(baseUrls, port, statements, auth = null, options = {}) {
+  const o = mergeOptions(CONFIG, options);
+
+  return instrumented(o, "batch", { statements: statements.length }, async (report) => {
+    const res = await rqliteRequest(baseUrls, port, "/db/execute?transaction&named_parameters", statements, auth, options);
+    const results = res.results || [];
+    report({
+      ...(results[0] && servedBy.get(results[0])),
+      serverTimeMs: serverTimeMs(res.time),
+      rowsAffected: results.reduce((n, r) => n + (r.rows_affected || 0), 0)
+    });
+    return res;
+  });
+}
+
+/**
+ * Transforms a single rqlite result (columns + values arrays) into row objects
+ * @param {Object} [r] - One entry of the rqlite "results" array
+ * @returns {Object[]} Array of row objects
+ */
+function resultRows(r = {}) {
+  const cols = r.columns || [];
+  const rows = r.values || [];
+
+  return rows.map(row => {
+    const obj = {};
+    cols.forEach((c, i) => obj[c] = row[i]);
+    return obj;
+  });
+}
+
+// ============================================================================
+// QUERY BUILDER HELPERS
+// ============================================================================
+
+/**
+ * Builds a SELECT column list from a select object
+ * @param {Object|null} select - Object specifying which columns to select
+ * @param {string[]} availableFields - List of valid field names
+ * @param {Object} [exprs] - SQL expressions replacing some columns (e.g. highlights)
+ * @returns {string} SQL column list or "*"
+ */
+function buildSelect(select, availableFields, exprs = {}) {
+  if (!select || Object.keys(select).length === 0) {
+    return "*";
+  }
+
+  const cols = Object.keys(select)
+    .filter(k => select[k] && availableFields.includes(k))
+    .map(k => (exprs[k] ? `${exprs[k]} AS ${quote(k)}` : quote(k)));
+
+  return cols.length > 0 ? cols.join(", ") : "*";
+}
+
+/**
+ * Builds an ORDER BY column list from an orderBy object or array
+ * `_relevance` orders by the bm25() rank of a full-text search, best match first for "desc"
+ * @param {Object|Object[]} orderBy - e.g. { id: "desc" } or [{ a: "asc" }, { b: "desc" }]
+ * @param {string} [prefix=""] - Optional table alias prefix (e.g. '"t".')
+ * @param {string|null} [relevance] - bm25() expression of the current search, if any
+ * @returns {string} SQL ORDER BY list (without the ORDER BY keyword)
+ * @throws {Error} On an invalid direction or `_relevance` without a search
+ */
+function buildOrderBy(orderBy, prefix = "", relevance = null) {
+  return (Array.isArray(orderBy) ? orderBy : [orderBy]).map(o => {
+    const [col, dir] = Object.entries(o)[0];
+    const d = dir.toUpperCase();
+    if (d !== "ASC" && d !== "DESC") {
+      throw new Error("Invalid order direction. Use 'ASC' or 'DESC'.");
+    }
+    if (col === "_relevance") {
+      if (!relevance) {
+        throw new Error("orderBy _relevance is only supported by findMany with a search filter");
+      }
+      // bm25() is lower for better matches
+      return `${relevance} ${d === "DESC" ? "ASC" : "DESC"}`;
+    }
+    return `${prefix}${quote(col)} ${d}`;
+  }).join(", ");
+}
+
+/**
+ * Builds a keyset (cursor) condition that continues after the cursor row
+ * The ordering is made total by appending the cursor columns to orderBy. The cursor
+ * carries the row's value of every order column, so the next page does not depend on
+ * that row still existing or being unchanged.
+ * NULLs are placed as SQLite sorts them: first in ascending, last in descending order
+ * @param {Object} cursor - Order and unique column values of the cursor row, e.g. { score: 7, id: 123 }
+ * @param {Object|Object[]|undefined} orderBy - Order of the read
+ * @param {string[]} availableFields - List of valid field names
+ * @returns {Object} {clause, params, orderBy} where orderBy is the effective ordering
+ * @throws {Error} If the cursor misses the value of an order column
+ */
+function buildCursor(cursor, orderBy, availableFields) {
+  const keys = Object.keys(cursor || {});
+  if (keys.length === 0) {
+    throw new Error("Invalid cursor. Must identify a row, e.g. { id: 123 }.");
+  }
+  for (const k of keys) {
+    if (!availableFields.includes(k)) {
+      throw new Error(`Field "${k}" not found in schema`);
+    }
+    if (cursor[k] !== null && typeof cursor[k] === "object") {
+      throw new Error("Invalid cursor. Values must be plain values.");
+    }
+  }
+
+  const orders = (orderBy ? (Array.isArray(orderBy) ? orderBy : [orderBy]) : []).map(o => {
+    const [col, dir] = Object.entries(o)[0];
+    if (!availableFields.includes(col)) {
+      throw new Error(`Field "${col}" not found in schema`);
+    }
+    return [col, dir.toUpperCase()];
+  });
+  const missing = orders.map(([c]) => c).filter(c => !(c in cursor));
+  if (missing.length > 0) {
+    throw new Error(`Invalid cursor. It must hold the cursor row's value of every orderBy column; missing: ${missing.join(", ")}`);
+  }
+  for (const k of keys) {
+    if (!orders.some(([c]) => c === k)) orders.push([k, "ASC"]);
+  }
+
+  const params = {};
+  const value = (col) => {
+    params[`curv_${col}`] = cursor[col];
+    return `:curv_${col}`;
+  };
+
+  // A value may be NULL: NULLs only follow a non-NULL value in descending order, and
+  // every non-NULL value follows a NULL in ascending order
+  const after = (col, dir) => {
+    const c = quote(col), v = value(col);
+    return dir === "DESC"
+      ? `(${c} < ${v} OR (${c} IS NULL AND ${v} IS NOT NULL))`
+      : `(${c} > ${v} OR (${v} IS NULL AND ${c} IS NOT NULL))`;
+  };
+
+  // (a > x) OR (a = x AND b > y) OR ... honouring each column's direction
+  const branches = orders.map(([col, dir], i) => {
+    const eqs = orders.slice(0, i).map(([c]) => `${quote(c)} IS ${value(c)}`);
+    return `(${[...eqs, after(col, dir)].join(" AND ")})`;
+  });
+
+  return {
+    clause: `(${branches.join(" OR ")})`,
+    params,
+    orderBy: orders.map(([c, d]) => ({ [c]: d }))
+  };
+}
+
+/**
+ * Picks the selected keys from a row object
+ * @param {Object} obj - Row object
+ * @param {Object|null} select - Object specifying which keys to keep
+ * @returns {Object} Filtered row, or the row itself when no select is given
+ */
+function applySelect(obj, select) {
+  if (!select) return obj;
+  return Object.fromEntries(Object.keys(select).filter(k => select[k]).map(k => [k, obj[k]]));
+}
+
+/**
+ * Escapes LIKE wildcards so user input matches literally (used with ESCAPE '\')
+ * @param {*} val - Value to escape
+ * @returns {string} Escaped string
+ */
+function escapeLike(val) {
+  return String(val).replace(/[\\%_]/g, "\\$&");
+}
+
+/**
+ * Builds a WHERE clause from a filter object
+ * Supports operators: equals, not, gt, gte, lt, lte, between, contains, startsWith,
+ * endsWith, in, notIn, isNull, isNotNull, glob, regex, and search on columns of the
+ * table's fullText index (`raw: true` passes FTS5 query syntax through);
+ * `mode: "insensitive"` compares strings case-insensitively
+ * Also supports AND, OR and NOT logical operators
+ * @param {Object|null} where - Filter conditions
+ * @param {string[]} availableFields - List of valid field names
+ * @param {string} [paramPrefix="p"] - Prefix for generated parameter names
+ * @param {Object|null} [search] - Search target from searchTarget(), enables `search`
+ * @returns {Object} Object with {clause: string, params: Object, searchQuery?: string}
+ * where searchQuery combines every search term for ranking and highlighting
+ */
+function buildWhere(where, availableFields, paramPrefix = "p", search = null) {
+  if (!where || Object.keys(where).length === 0) {
+    return { clause: "1=1", params: {} };
+  }
+
+  const params = {};
+  const searches = [];
+  let idx = 0;
+
+  /**
+   * Adds a parameter value and returns its placeholder
+   * Uses unique indexed keys to prevent collisions; buffers are sent as BLOB byte arrays
+   */
+  const addParam = (val) => {
+    const key = `${paramPrefix}_${idx++}`;
+    params[key] = val instanceof Uint8Array ? Array.from(val) : val;
+    return `:${key}`;
+  };
+
+  /**
+   * Recursively processes where conditions
+   * @param {Object} w - Where condition object
+   * @returns {string} SQL WHERE clause fragment
+   */
+  const process = (w) => {
+    const parts = [];
+
+    for (const [key, val] of Object.entries(w)) {
+      // Handle AND operator, e.g. to filter the same field twice
+      if (key === "AND") {
+        const list = [].concat(val).map(v => process(v));
+        parts.push(list.length > 0 ? `(${list.join(" AND ")})` : "1=1");
+      }
+      // Handle OR operator
+      else if (key === "OR") {
+        // An empty OR matches nothing
+        parts.push(val.length > 0 ? `(${val.map(v => process(v)).join(" OR ")})` : "1=0");
+      }
+      // Handle NOT operator
+      else if (key === "NOT") {
+        parts.push(`NOT (${process(val)})`);
+      }
+      // Handle field conditions
+      else {
+        // Validate field exists in schema
+        if (!availableFields.includes(key)) {
+          throw new Error(`Field "${key}" not found in schema`);
+        }
+
+        const qk = quote(key);
+
+        // Handle NULL check
+        if (val === null) {
+          parts.push(`${qk} IS NULL`);
+        }
+        // Handle simple equality
+        else if (typeof val !== "object" || val instanceof Uint8Array) {
+          parts.push(`${qk} = ${addParam(val)}`);
+        }
+        // Handle comparison operators
+        else {
+          if (val.mode !== undefined && val.mode !== "default" && val.mode !== "insensitive") {
+            throw new Error(`Invalid mode: ${val.mode}. Use "default" or "insensitive".`);
+          }
+          // LOWER() only folds ASCII unless the server has ICU
+          const ci = val.mode === "insensitive" ? (e) => `LOWER(${e})` : (e) => e;
+          const like = (pattern) => `${ci(qk)} LIKE ${ci(addParam(pattern))} ESCAPE '\\'`;
+          const list = (op, opV) => {
+            if (!Array.isArray(opV)) {
+              throw new Error(`Operator ${op} requires an array`);
+            }
+            return opV.map(v => ci(addParam(v))).join(", ");
+          };
+
+          for (const [op, opV] of Object.entries(val)) {
+            switch (op) {
+              case "mode":
+                break;
+              case "raw":
+                if (!("search" in val)) {
+                  throw new Error("raw is only supported together with search");
+                }
+                break;
+              case "equals":
+                parts.push(opV === null ? `${qk} IS NULL` : `${ci(qk)} = ${ci(addParam(opV))}`);
+                break;
+              case "not":
+                parts.push(opV === null ? `${qk} IS NOT NULL` : `${ci(qk)} != ${ci(addParam(opV))}`);
+                break;
+              case "gt":
+                parts.push(`${qk} > ${addParam(opV)}`);
+                break;
+              case "gte":
+                parts.push(`${qk} >= ${addParam(opV)}`);
+                break;
+              case "lt":
+                parts.push(`${qk} < ${addParam(opV)}`);
+                break;
+              case "lte":
+                parts.push(`${qk} <= ${addParam(opV)}`);
+                break;
+              case "between":
+                if (!Array.isArray(opV) || opV.length !== 2 || opV.some(v => v === null || v === undefined)) {
+                  throw new Error("Operator between requires [min, max]");
+                }
+                parts.push(`${qk} BETWEEN ${addParam(opV[0])} AND ${addParam(opV[1])}`);
+                break;
+              case "contains":
+                parts.push(like(`%${escapeLike(opV)}%`));
+                break;
+              case "startsWith":
+                parts.push(like(`${escapeLike(opV)}%`));
+                break;
+              case "endsWith":
+                parts.push(like(`%${escapeLike(opV)}`));
+                break;
+              case "in": {
+                const values = list(op, opV);
+                // Empty IN clause always false
+                parts.push(values ? `${ci(qk)} IN (${values})` : "1=0");
+                break;
+              }
+              case "notIn": {
+                const values = list(op, opV);
+                // Empty NOT IN clause always true
+                parts.push(values ? `${ci(qk)} NOT IN (${values})` : "1=1");
+                break;
+              }
+              case "isNull":
+                parts.push(`${qk} IS ${opV ? "" : "NOT "}NULL`);
+                break;
+              case "isNotNull":
+                parts.push(`${qk} IS ${opV ? "NOT " : ""}NULL`);
+                break;
+              case "glob":
+                // GLOB is always case-sensitive
+                parts.push(`${qk} GLOB ${addParam(opV)}`);
+                break;
+              case "regex": {
+                // Needs a regexp() function on the server. Flags travel as an inline (?ims)
+                // group; g, d and u do not change whether a value matches
+                const flags = new Set(opV instanceof RegExp ? opV.flags : "");
+                if (val.mode === "insensitive") flags.add("i");
+                const unsupported = [...flags].filter(f => !"imsgdu".includes(f));
+                if (unsupported.length > 0) {
+                  throw new Error(`Unsupported regex flag(s): ${unsupported.join("")}. Use i, m or s.`);
+                }
+                const inline = [...flags].filter(f => "ims".includes(f)).sort().join("");
+                const source = opV instanceof RegExp ? opV.source : opV;
+                parts.push(`${qk} REGEXP ${addParam(inline ? `(?${inline})${source}` : source)}`);
+                break;
+              }
+              case "search": {
+                if (!search || !search.fields.includes(key)) {
+                  throw new Error(`Field "${key}" is not in the fullText index of this table`);
+                }
+                if (typeof opV !== "string" || opV.trim() === "") {
+                  throw new Error("search requires a non-empty string");
+                }
+                // FTS5 column filter; the text is matched as one FTS5 string unless raw
+                // query syntax was asked for
+                const query = val.raw === true ? `(${opV})` : `"${opV.replace(/"/g, '""')}"`;
+                const term = `{${key}} : ${query}`;
+                searches.push(term);
+                const qf = quote(search.fts);
+                parts.push(`${quote(search.table)}.rowid IN (SELECT rowid FROM ${qf} WHERE ${qf} MATCH ${addParam(term)})`);
+                break;
+              }
+              default:
+                throw new Error(`Unknown operator: ${op}`);
+            }
+          }
+        }
+      }
+    }
+
+    return parts.length > 0 ? parts.join(" AND ") : "1=1";
+  };
+
+  const clause = process(where);
+  return { clause, params, searchQuery: searches.length > 0 ? searches.join(" OR ") : null };
+}
+
+// ============================================================================
+// GENERATED VALUES
+// ============================================================================
+
+/**
+ * Crockford base32 alphabet used by ULIDs
+ */
+const ULID_ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+
+/**
+ * Per-process counter that keeps CUIDs generated in the same millisecond apart
+ */
+let cuidCounter = 0;
+
+/**
+ * Returns `n` random characters from an alphabet
+ * @param {string} alphabet - Characters to pick from (at most 256)
+ * @param {number} n - Number of characters
+ * @returns {string} Random string
+ */
+function randomChars(alphabet, n) {
+  const bytes = crypto.getRandomValues(new Uint8Array(n));
+  let out = "";
+  for (const b of bytes) out += alphabet[b % alphabet.length];
+  return out;
+}
+
+/**
+ * Built-in ID generators for `default: { generate }`
+ * uuid is a v4 UUID, ulid a 26 character time-sortable ULID and cuid a
+ * 25 character lowercase id starting with "c"
+ */
+const ID_GENERATORS = {
+  uuid: () => crypto.randomUUID(),
+  ulid: () => {
+    let time = Date.now();
+    let head = "";
+    for (let i = 0; i < 10; i++) {
+      head = ULID_ALPHABET[time % 32] + head;
+      time = Math.floor(time / 32);
+    }
+    return head + randomChars(ULID_ALPHABET, 16);
+  },
+  cuid: () => {
+    cuidCounter = (cuidCounter + 1) % 36 ** 4;
+    return "c" +
+      Date.now().toString(36).padStart(8, "0") +
+      cuidCounter.toString(36).padStart(4, "0") +
+      randomChars("0123456789abcdefghijklmnopqrstuvwxyz", 12);
+  }
+};
+
+/**
+ * Checks whether a column gets its value from JS on create rather than from
+ * the caller or a SQL default
+ * @param {Object} def - Column definition from schema
+ * @returns {boolean} True for createdAt, updatedAt and generated default columns
+ */
+function isGenerated(def) {
+  return Boolean(def.createdAt || def.updatedAt || isPlainObject(def.default));
+}
+
+/**
+ * Lists the primary key columns of a table in declaration order
+ * Several `pk: true` fields form one composite primary key
+ * @param {Object} cfg - Table configuration
+ * @returns {string[]} Primary key columns (empty when the table has none)
+ */
+function primaryKey(cfg) {
+  return Object.keys(cfg.fields).filter(c => cfg.fields[c].pk);
+}
+
+/**
+ * Checks whether a column is the rowid alias that SQLite assigns when it is NULL:
+ * the only primary key column, of type INTEGER
+ * @param {Object} cfg - Table configuration
+ * @param {string} col - Column name
+ * @returns {boolean} True for a single INTEGER primary key
+ */
+function isRowidKey(cfg, col) {
+  const pk = primaryKey(cfg);
+  return pk.length === 1 && pk[0] === col && cfg.fields[col].type.toUpperCase() === "INTEGER";
+}
+
+/**
+ * Current timestamp in the storage format of a column
+ * ISO text for TEXT columns, epoch milliseconds for numeric ones
+ * @param {Object} def - Column definition from schema
+ * @returns {string|number} Timestamp
+ */
+function timestampValue(def) {
+  return coerceValue(new Date(), def.type.toUpperCase()).value;
+}
+
+/**
+ * Fills in the values the schema generates for a write
+ * On create: `default: { generate }` columns, createdAt and updatedAt columns;
+ * on update: updatedAt columns. Values given by the caller are kept.
+ * @param {Object} cfg - Table configuration
+ * @param {Object} data - Column values from the caller
+ * @param {string} mode - "create" or "update"
+ * @returns {Object} Copy of the data with the generated values added
+ */
+function applyGenerated(cfg, data, mode) {
+  const out = { ...data };
+  const now = new Date();
+
+  for (const [field, def] of Object.entries(cfg.fields)) {
+    if (out[field] !== undefined) continue;
+
+    if (def.updatedAt || (mode === "create" && def.createdAt)) {
+      out[field] = now;
+    } else if (mode === "create" && isPlainObject(def.default)) {
+      const gen = def.default.generate;
+      out[field] = typeof gen === "function" ? gen() : ID_GENERATORS[gen]();
+    }
+  }
+
+  return out;
+}
+
+// ============================================================================
+// UPDATE EXPRESSIONS
+// ============================================================================
+
+/**
+ * SQLite functions allowed in update expressions
+ */
+const EXPR_FUNCTIONS = new Set([
+  "ABS", "COALESCE", "IFNULL", "NULLIF", "MIN", "MAX", "ROUND", "LOWER", "UPPER", "LENGTH",
+  "TRIM", "LTRIM", "RTRIM", "SUBSTR", "REPLACE", "INSTR", "DATE", "TIME", "DATETIME",
+  "JULIANDAY", "STRFTIME", "UNIXEPOCH"
+]);
+
+/**
+ * Operators allowed per expression node kind
+ */
+const EXPR_OPERATORS = {
+  op: new Set(["+", "-", "*", "/", "%", "||"]),
+  cmp: new Set(["=", "!=", ">", ">=", "<", "<="]),
+  logic: new Set(["AND", "OR"]),
+  null: new Set(["IS NULL", "IS NOT NULL"])
+};
+
+/**
+ * Node of an update expression tree, built with the `e` helpers
+ * Compiled by compileExpr, which validates columns, operators and functions
+ */
+export class Expr {
+  /**
+   * @param {string} kind - Node kind: col, param, op, cmp, logic, not, null, fn, cast, case
+   * @param {Array} args - Child nodes (or the literal value of a param node)
+   * @param {string} [name] - Column, operator, function or type name
+   */
+  constructor(kind, args = [], name = null) {
+    this.kind = kind;
+    this.args = args;
+    this.name = name;
+    Object.freeze(this);
+  }
+}
+
+/**
+ * Wraps plain values as parameters so they can be used as expression operands
+ * @param {*} v - Expr or literal value
+ * @returns {Expr} Expression node
+ */
+function toExpr(v) {
+  return v instanceof Expr ? v : new Expr("param", [v]);
+}
+
+/**
+ * Update expression builder
+ * Plain values passed as operands become named parameters
+ * @example
+ * await db.accounts.update({
+ *   where: { id: 1 },
+ *   data: { balance: e.add(e.col("balance"), e.mul(2, e.col("bonus"))) }
+ * });
+ */
+export const e = {
+  /** Column of the updated row */
+  col: (name) => new Expr("col", [], name),
+  /** Literal value sent as a parameter */
+  param: (value) => new Expr("param", [value]),
+  add: (...args) => new Expr("op", args.map(toExpr), "+"),
+  sub: (a, b) => new Expr("op", [toExpr(a), toExpr(b)], "-"),
+  mul: (...args) => new Expr("op", args.map(toExpr), "*"),
+  div: (a, b) => new Expr("op", [toExpr(a), toExpr(b)], "/"),
+  mod: (a, b) => new Expr("op", [toExpr(a), toExpr(b)], "%"),
+  concat: (...args) => new Expr("op", args.map(toExpr), "||"),
+  eq: (a, b) => new Expr("cmp", [toExpr(a), toExpr(b)], "="),
+  ne: (a, b) => new Expr("cmp", [toExpr(a), toExpr(b)], "!="),
+  gt: (a, b) => new Expr("cmp", [toExpr(a), toExpr(b)], ">"),
+  gte: (a, b) => new Expr("cmp", [toExpr(a), toExpr(b)], ">="),
+  lt: (a, b) => new Expr("cmp", [toExpr(a), toExpr(b)], "<"),
+  lte: (a, b) => new Expr("cmp", [toExpr(a), toExpr(b)], "<="),
+  and: (...args) => new Expr("logic", args.map(toExpr), "AND"),
+  or: (...args) => new Expr("logic", args.map(toExpr), "OR"),
+  not: (a) => new Expr("not", [toExpr(a)]),
+  isNull: (a) => new Expr("null", [toExpr(a)], "IS NULL"),
+  isNotNull: (a) => new Expr("null", [toExpr(a)], "IS NOT NULL"),
+  /** Call of a whitelisted SQLite function, e.g. e.fn("round", e.col("x"), 2) */
+  fn: (name, ...args) => new Expr("fn", args.map(toExpr), String(name).toUpperCase()),
+  min: (...args) => e.fn("MIN", ...args),
+  max: (...args) => e.fn("MAX", ...args),
+  coalesce: (...args) => e.fn("COALESCE", ...args),
+  abs: (a) => e.fn("ABS", a),
+  round: (a, digits = 0) => e.fn("ROUND", a, digits),
+  lower: (a) => e.fn("LOWER", a),
+  upper: (a) => e.fn("UPPER", a),
+  length: (a) => e.fn("LENGTH", a),
+  cast: (a, type) => new Expr("cast", [toExpr(a)], String(type).toUpperCase()),
+  /**
+   * CASE WHEN ... THEN ... ELSE ... END
+   * @param {Object[]} branches - [{when, then}, ...]
+   * @param {*} [otherwise] - Value when no branch matches (NULL when omitted)
+   */
+  case: (branches, otherwise = null) => new Expr(
+    "case",
+    [...branches.flatMap(b => [toExpr(b.when), toExpr(b.then)]), toExpr(otherwise)]
+  )
+};
+
+/**
+ * Compiles an expression tree to parameterized SQL
+ * @param {Expr} node - Expression to compile
+ * @param {string[]} availableFields - Columns the expression may reference
+ * @param {Object} params - Parameter object to add values to (mutated)
+ * @param {string} prefix - Prefix of the generated parameter names
+ * @returns {string} SQL expression
+ * @throws {Error} On unknown columns, operators, functions or node kinds
+ */
+function compileExpr(node, availableFields, params, prefix) {
+  let n = 0;
+
+  const compile = (x) => {
+    if (!(x instanceof Expr)) {
+      throw new Error("Invalid expression node. Build expressions with the e helpers.");
+    }
+    const allowed = EXPR_OPERATORS[x.kind];
+    if (allowed && !allowed.has(x.name)) {
+      throw new Error(`Operator ${x.name} is not allowed in expressions`);
+    }
+
+    switch (x.kind) {
+      case "col":
+        if (!availableFields.includes(x.name)) {
+          throw new Error(`Field "${x.name}" not found in schema`);
+        }
+        return quote(x.name);
+      case "param": {
+        if (x.args[0] === null || x.args[0] === undefined) return "NULL";
+        const key = `${prefix}_${n++}`;
+        params[key] = x.args[0] instanceof Date ? x.args[0].toISOString() : x.args[0];
+        return `:${key}`;
+      }
+      case "op":
+      case "cmp":
+      case "logic":
+        if (x.args.length < 2) {
+          throw new Error(`Operator ${x.name} needs at least two operands`);
+        }
+        return `(${x.args.map(compile).join(` ${x.name} `)})`;
+      case "null":
+        return `(${compile(x.args[0])} ${x.name})`;
+      case "not":
+        return `(NOT ${compile(x.args[0])})`;
+      case "fn":
+        if (!EXPR_FUNCTIONS.has(x.name)) {
+          throw new Error(`Function ${x.name} is not allowed in expressions`);
+        }
+        return `${x.name}(${x.args.map(compile).join(", ")})`;
+      case "cast":
+        if (!SQLITE_TYPES.has(x.name)) {
+          throw new Error(`Invalid CAST type ${x.name}`);
+        }
+        return `CAST(${compile(x.args[0])} AS ${x.name})`;
+      case "case": {
+        const parts = [];
+        for (let i = 0; i < x.args.length - 1; i += 2) {
+          parts.push(`WHEN ${compile(x.args[i])} THEN ${compile(x.args[i + 1])}`);
+        }
+        if (parts.length === 0) {
+          throw new Error("e.case() needs at least one { when, then } branch");
+        }
+        return `(CASE ${parts.join(" ")} ELSE ${compile(x.args[x.args.length - 1])} END)`;
+      }
+      default:
+        throw new Error(`Unknown expression node: ${x.kind}`);
+    }
+  };
+
+  return compile(node);
+}
+
+// ============================================================================
+// WRITE BUILDER HELPERS
+// ============================================================================
+
+/**
+ * Builds SET assignments for UPDATE statements and upsert conflict updates
+ * Supports plain values, expressions built with `e`, the atomic operators
+ * (increment, decrement, multiply, divide, set) and the deprecated math strings
+ * Data is validated and coerced against the schema first
+ * @param {string} tableName - Name of the table
+ * @param {Object} cfg - Table configuration
+ * @param {Object} data - Column values or update operators
+ * @param {Object} params - Parameter object to add values to (mutated)
+ * @returns {string[]} SQL assignments such as '"balance" = "balance" + :d_balance'
+ * @throws {ValidationError} If the data does not match the schema
+ * @throws {Error} If an expression references unknown columns or functions
+ */
+function buildSet(tableName, cfg, data, params) {
+  const sets = [];
+  let mIdx = 0;
+
+  for (const [c, val] of Object.entries(validateData(tableName, cfg, data, "update"))) {
+    const qCol = quote(c);
+
+    if (val instanceof Expr) {
+      sets.push(`${qCol} = ${compileExpr(val, Object.keys(cfg.fields), params, `x_${c}`)}`);
+    } else if (isPlainObject(val)) {
+      const [op] = Object.keys(val).filter(k => k !== "args");
+
+      // Handle increment, decrement, multiply and divide
+      if (op !== "math") {
+        params[`d_${c}`] = val[op];
+        sets.push(`${qCol} = ${qCol} ${UPDATE_OPERATORS.get(op)} :d_${c}`);
+      }
+      // Handle math expression
+      else {
+        // Validate math expression for safety
+        if (!validateMathExpression(val.math)) {
+          throw new Error("Unsafe math expression detected. Operation blocked.");
+        }
+
+        let expr = val.math;
+
+        // Replace argument placeholders with unique param names
+        if (val.args) {
+          for (const [ak, av] of Object.entries(val.args)) {
+            const pName = `m_${c}_${mIdx++}`;
+            expr = expr.replace(new RegExp(`:${ak}\\b`, 'g'), `:${pName}`);
+            params[pName] = av;
+          }
+        }
+
+        sets.push(`${qCol} = ${expr}`);
+      }
+    } else {
+      // Simple value assignment
+      params[`d_${c}`] = val;
+      sets.push(`${qCol} = :d_${c}`);
+    }
+  }
+
+  return sets;
+}
+
+/**
+ * Lists the column sets that can be used as an ON CONFLICT target:
+ * primary key fields and unique indexes declared in the schema
+ * @param {Object} cfg - Table configuration
+ * @returns {string[][]} Candidate conflict targets
+ */
+function conflictTargets(cfg) {
+  const pk = primaryKey(cfg);
+  const targets = pk.length > 0 ? [pk] : [];
+  for (const idx of cfg.indexes || []) {
+    if (idx.unique) targets.push(idx.columns);
+  }
+  return targets;
+}
+
+/**
+ * Validates an ON CONFLICT target against the primary key and unique indexes
+ * @param {string} tableName - Name of the table
+ * @param {Object} cfg - Table configuration
+ * @param {string[]} cols - Requested conflict target columns
+ * @returns {string[]} The validated target columns
+ * @throws {Error} If the columns do not match a primary key or unique index
+ */
+function validateConflictTarget(tableName, cfg, cols) {
+  const wanted = [...cols].sort().join(",");
+  const match = conflictTargets(cfg).some(t => [...t].sort().join(",") === wanted);
+
+  if (cols.length === 0 || !match) {
+    throw new Error(`Invalid conflict target (${cols.join(", ")}) for ${tableName}. Must match the primary key or a unique index.`);
+  }
+  return cols;
+}
+
+/**
+ * Builds the conflict handling of an INSERT statement
+ * onConflict may be "ignore" (skip conflicting rows), "replace" (delete and re-insert)
+ * or { target, update } to update the existing row; without `update` the inserted
+ * values overwrite the existing ones, except generated ids and createdAt
+ * @param {string} tableName - Name of the table
+ * @param {Object} cfg - Table configuration
+ * @param {string|Object|undefined} onConflict - Conflict handling mode
+ * @param {string[]} cols - Inserted columns
+ * @param {Set<string>} given - Columns provided by the caller (not generated)
+ * @param {Object} params - Parameter object to add update values to (mutated)
+ * @returns {Object} {verb: string, tail: string}
+ * @throws {Error} If onConflict is invalid
+ */
+function conflictClause(tableName, cfg, onConflict, cols, given, params) {
+  let verb = "INSERT";
+  let tail = "";
+
+  if (onConflict === "replace") {
+    verb = "INSERT OR REPLACE";
+  } else if (onConflict === "ignore") {
+    tail = " ON CONFLICT DO NOTHING";
+  } else if (onConflict && typeof onConflict === "object") {
+    const target = validateConflictTarget(
+      tableName,
+      cfg,
+      Array.isArray(onConflict.target) ? onConflict.target : [onConflict.target]
+    );
+
+    let sets = onConflict.update
+      ? buildSet(tableName, cfg, onConflict.update, params)
+      : cols
+        .filter(c => !target.includes(c) && c !== cfg.config.shardKey)
+        // Generated ids and createdAt belong to the existing row
+        .filter(c => given.has(c) || cfg.fields[c].updatedAt || !isGenerated(cfg.fields[c]))
+        .map(c => `${quote(c)} = excluded.${quote(c)}`);
+
+    // A no-op assignment still lets RETURNING report the existing row
+    if (sets.length === 0) {
+      sets = [`${quote(target[0])} = ${quote(target[0])}`];
+    }
+
+    tail = ` ON CONFLICT (${target.map(quote).join(", ")}) DO UPDATE SET ${sets.join(", ")}`;
+  } else if (onConflict !== undefined) {
+    throw new Error(`Invalid onConflict option. Use "ignore", "replace" or { target, update }.`);
+  }
+
+  return { verb, tail };
+}
+
+/**
+ * Builds an INSERT statement with optional conflict handling (see conflictClause)
+ * @param {string} tableName - Name of the table
+ * @param {Object} cfg - Table configuration
+ * @param {Object} data - Column values to insert
+ * @param {string|Object} [onConflict] - Conflict handling mode
+ * @returns {Object} {sql: string, params: Object, row: Object} with sql lacking RETURNING and
+ * semicolon, and row holding the validated values
+ * @throws {ValidationError} If the data does not match the schema
+ */
+function buildInsert(tableName, cfg, data, onConflict) {
+  const given = new Set(Object.keys(data || {}));
+  data = validateData(tableName, cfg, data, "create");
+  const cols = Object.keys(data);
+  const params = {};
+  cols.forEach(c => params[`c_${c}`] = data[c]);
+
+  const { verb, tail } = conflictClause(tableName, cfg, onConflict, cols, given, params);
+
+  return {
+    sql: `${verb} INTO ${quote(tableName)} (${cols.map(quote).join(", ")}) VALUES (${cols.map(c => `:c_${c}`).join(", ")})${tail}`,
+    params,
+    row: data
+  };
+}
+
+/**
+ * Maximum number of bound parameters in one statement (SQLite's default
+ * SQLITE_MAX_VARIABLE_NUMBER since 3.32)
+ */
+const MAX_SQL_PARAMS = 32766;
+
+/**
+ * Builds multi-row INSERT statements for createMany
+ * Rows are grouped by their column set so omitted columns keep their defaults,
+ * and each group is split into several statements whenever the JSON payload
+ * would exceed maxRequestSize or SQLite's parameter limit.
+ * `shardOf` maps a validated row to its shard; rows of different shards never share a statement.
+ * @param {string} tableName - Name of the table
+ * @param {Object} cfg - Table configuration
+ * @param {Object[]} rows - Rows to insert
+ * @param {Object} [options] - {skipDuplicates?: boolean, onConflict?: string|Object, returning?: boolean, maxRequestSize?: number, shardOf?: Function}
+ * @returns {Object[]} Array of {sql, params, shard} statements
+ * @throws {ValidationError} Listing the violations of every row
+ */
+function buildInsertMany(tableName, cfg, rows, { skipDuplicates = false, onConflict, returning = false, maxRequestSize = CONFIG.maxRequestSize, shardOf = () => undefined } = {}) {
+  if (!Array.isArray(rows)) {
+    throw new ValidationError(tableName, [{ field: "data", message: "must be an array" }]);
+  }
+  if (skipDuplicates) onConflict = "ignore";
+  const originals = rows;
+
+  // Validate all rows first so every violation is reported at once
+  const errors = [];
+  rows = rows.map((row, i) => {
+    try {
+      return validateData(tableName, cfg, row, "create");
+    } catch (e) {
+      if (!(e instanceof ValidationError)) throw e;
+      errors.push(...e.errors.map(err => ({ ...err, field: `data[${i}].${err.field}` })));
+      return null;
+    }
+  });
+  if (errors.length > 0) {
+    throw new ValidationError(tableName, errors);
+  }
+
+  const groups = new Map();
+
+  rows.forEach((row, i) => {
+    const cols = Object.keys(row);
+    const shard = shardOf(row);
+    const key = `${shard}|${cols.join(",")}`;
+    if (!groups.has(key)) groups.set(key, { cols, shard, rows: [], given: new Set() });
+    groups.get(key).rows.push(row);
+    for (const c of Object.keys(originals[i] || {})) groups.get(key).given.add(c);
+  });
+
+  const statements = [];
+
+  for (const { cols, shard, ...group } of groups.values()) {
+    const conflictParams = {};
+    const { verb, tail: conflict } = conflictClause(tableName, cfg, onConflict, cols, group.given, conflictParams);
+    const tail = `${conflict}${returning ? " RETURNING *" : ""};`;
+    const head = `${verb} INTO ${quote(tableName)} (${cols.map(quote).join(", ")}) VALUES `;
+    // Account for the JSON envelope [["<sql>", {...}]] around each statement
+    const overhead = JSON.stringify([[head + tail, conflictParams]]).length;
+
+    let tuples = [];
+    let params = { ...conflictParams };
+    let size = overhead;
+    let n = 0;
+
+    const flush = () => {
+      if (tuples.length === 0) return;
+      statements.push({ sql: head + tuples.join(", ") + tail, params, shard });
+      tuples = [];
+      params = { ...conflictParams };
+      size = overhead;
+    };
+
+    for (const row of group.rows) {
+      // Rows without columns can only be inserted one at a time
+      if (cols.length === 0) {
+        statements.push({ sql: `${verb} INTO ${quote(tableName)} DEFAULT VALUES${tail}`, params: { ...conflictParams }, shard });
+        continue;
+      }
+
+      const rowParams = {};
+      const placeholders = cols.map((c, i) => {
+        const pName = `r${n}_${i}`;
+        rowParams[pName] = row[c];
+        return `:${pName}`;
+      });
+      n++;
+
+      const tuple = `(${placeholders.join(", ")})`;
+      const paramsSize = JSON.stringify(rowParams).length - 2;
+      // Exact growth of the payload: the tuple plus ", " and the params plus ","
+      const rowSize = () => tuple.length + (tuples.length > 0 ? 2 : 0) +
+        paramsSize + (Object.keys(params).length > 0 ? 1 : 0);
+      const paramCount = (tuples.length + 1) * cols.length;
+
+      if (tuples.length > 0 && (size + rowSize() > maxRequestSize || paramCount > MAX_SQL_PARAMS)) {
+        flush();
+      }
+
+      size += rowSize();
+      tuples.push(tuple);
+      Object.assign(params, rowParams);
+    }
+
+    flush();
+  }
+
+  return statements;
+}
+
+// ============================================================================
+// SOFT DELETE HELPERS
+// ============================================================================
+
+/**
+ * Resolves the soft delete column of a table
+ * @param {Object} cfg - Table configuration
+ * @returns {string|null} Column name, or null when soft delete is off
+ */
+function softDeleteField(cfg) {
+  if (!cfg.softDelete) return null;
+  return cfg.softDelete === true ? "deleted_at" : cfg.softDelete.field;
+}
+
+/**
+ * Restricts a WHERE clause to rows that are not soft-deleted
+ * @param {Object} cfg - Table configuration
+ * @param {string} clause - WHERE clause built by buildWhere
+ * @param {boolean} [withDeleted] - Keep soft-deleted rows
+ * @param {string} [prefix] - Column qualifier, e.g. '"j".'
+ * @returns {string} The clause, narrowed when soft delete applies
+ */
+function excludeDeleted(cfg, clause, withDeleted = false, prefix = "") {
+  const field = softDeleteField(cfg);
+  if (!field || withDeleted) return clause;
+  return `(${clause}) AND ${prefix}${quote(field)} IS NULL`;
+}
+
+/**
+ * Builds the statement behind delete()/deleteMany()
+ * softDelete tables get an UPDATE stamping rows that are not deleted yet
+ * @param {string} tableName - Name of the table
+ * @param {Object} cfg - Table configuration
+ * @param {Object} [where] - Filter conditions
+ * @returns {Object} {sql, params}
+ */
+function buildDelete(tableName, cfg, where) {
+  const { clause, params } = buildWhere(where, Object.keys(cfg.fields), "p", searchTarget(tableName, cfg));
+  const field = softDeleteField(cfg);
+
+  if (!field) {
+    return { sql: `DELETE FROM ${quote(tableName)} WHERE ${clause};`, params };
+  }
+
+  params.sd_at = deletedAtValue(cfg);
+  return {
+    sql: `UPDATE ${quote(tableName)} SET ${quote(field)} = :sd_at WHERE ${excludeDeleted(cfg, clause)};`,
+    params
+  };
+}
+
+/**
+ * Current timestamp in the storage format of the soft delete column
+ * ISO text for TEXT columns, epoch milliseconds for numeric ones
+ * @param {Object} cfg - Table configuration
+ * @returns {string|number} Deletion timestamp
+ */
+function deletedAtValue(cfg) {
+  return timestampValue(cfg.fields[softDeleteField(cfg)]);
+}
+
+// ============================================================================
+// FULL-TEXT SEARCH
+// ============================================================================
+
+/**
+ * Describes the FTS5 index of a table with a `fullText` option
+ * @param {string} tableName - Name of the content table
+ * @param {Object} cfg - Table configuration
+ * @returns {Object|null} {table, fts, fields} or null when the table has no index
+ */
+function searchTarget(tableName, cfg) {
+  if (!cfg.fullText) return null;
+  return { table: tableName, fts: `${tableName}_fts`, fields: cfg.fullText.fields };
+}
+
+/**
+ * Scalar subquery evaluating an FTS5 auxiliary function for the current row
+ * of the content table
+ * @param {Object} target - Search target from searchTarget()
+ * @param {string} fn - Auxiliary function call, e.g. 'bm25("notes_fts")'
+ * @param {string} queryParam - Placeholder of the FTS5 query
+ * @returns {string} SQL expression, NULL for rows that do not match
+ */
+function searchExpr(target, fn, queryParam) {
+  const qf = quote(target.fts);
+  return `(SELECT ${fn} FROM ${qf} WHERE ${qf} MATCH ${queryParam} AND ${qf}.rowid = ${quote(target.table)}.rowid)`;
+}
+
+/**
+ * Builds highlight()/snippet() select expressions for columns selected as
+ * { highlight: true | {open, close} } or { snippet: true | {open, close, ellipsis, tokens} }
+ * Without a search in the where clause the plain column is returned
+ * @param {Object|null} select - Select object of the read
+ * @param {Object|null} target - Search target from searchTarget()
+ * @param {string|null} searchQuery - Combined FTS5 query from buildWhere
+ * @param {Object} params - Parameter object to add values to (mutated)
+ * @returns {Object} Map of column name to SQL expression
+ * @throws {Error} If a column is not part of the index or the options are invalid
+ */
+function searchSelect(select, target, searchQuery, params) {
+  const exprs = {};
+
+  for (const [col, opt] of Object.entries(select || {})) {
+    if (!isPlainObject(opt) || !(opt.highlight || opt.snippet)) continue;
+    const idx = target ? target.fields.indexOf(col) : -1;
+    if (idx < 0) {
+      throw new Error(`Field "${col}" is not in the fullText index of this table`);
+    }
+    if (!searchQuery) continue;
+
+    const mode = opt.snippet ? "snippet" : "highlight";
+    const o = isPlainObject(opt[mode]) ? opt[mode] : {};
+    params.sq = searchQuery;
+    params[`hl_${col}_o`] = o.open ?? "<b>";
+    params[`hl_${col}_c`] = o.close ?? "</b>";
+
+    let fn = `highlight(${quote(target.fts)}, ${idx}, :hl_${col}_o, :hl_${col}_c)`;
+    if (mode === "snippet") {
+      const tokens = o.tokens ?? 16;
+      if (!Number.isInteger(tokens) || tokens < 1 || tokens > 64) {
+        throw new Error("Invalid snippet tokens. Must be an integer between 1 and 64.");
+      }
+      params[`hl_${col}_e`] = o.ellipsis ?? "…";
+      fn = `snippet(${quote(target.fts)}, ${idx}, :hl_${col}_o, :hl_${col}_c, :hl_${col}_e, ${tokens})`;
+    }
+
+    exprs[col] = `COALESCE(${searchExpr(target, fn, ":sq")}, ${quote(col)})`;
+  }
+
+  return exprs;
+}
+
+/**
+ * Generates the FTS5 table and the triggers keeping it in sync with its content table
+ * @param {string} tName - Name of the content table
+ * @param {Object} cfg - Table configuration with a `fullText` option
+ * @returns {Object} {table: string, triggers: string[]} SQL statements
+ */
+function searchIndexSQL(tName, cfg) {
+  const { fts, fields } = searchTarget(tName, cfg);
+  const qf = quote(fts);
+  const cols = fields.map(quote).join(", ");
+  const vals = (row) => fields.map(c => `${row}.${quote(c)}`).join(", ");
+  const tokenize = cfg.fullText.tokenize ? `, tokenize='${cfg.fullText.tokenize}'` : "";
+
+  const insert = `INSERT INTO ${qf}(rowid, ${cols}) VALUES (new.rowid, ${vals("new")});`;
+  const remove = `INSERT INTO ${qf}(${qf}, rowid, ${cols}) VALUES ('delete', old.rowid, ${vals("old")});`;
+
+  return {
+    table: `CREATE VIRTUAL TABLE IF NOT EXISTS ${qf} USING fts5(${cols}, content='${tName}'${tokenize});`,
+    triggers: [
+      `CREATE TRIGGER IF NOT EXISTS ${quote(`${fts}_ai`)} AFTER INSERT ON ${quote(tName)} BEGIN ${insert} END;`,
+      `CREATE TRIGGER IF NOT EXISTS ${quote(`${fts}_ad`)} AFTER DELETE ON ${quote(tName)} BEGIN ${remove} END;`,
+      `CREATE TRIGGER IF NOT EXISTS ${quote(`${fts}_au`)} AFTER UPDATE ON ${quote(tName)} BEGIN ${remove} ${insert} END;`
+    ]
+  };
+}
+
+// ============================================================================
+// AGGREGATION HELPERS
+// ============================================================================
+
+/**
+ * Supported aggregate groups mapped to their SQLite functions
+ */
+const AGGREGATE_FUNCTIONS = {
+  _sum: "SUM",
+  _avg: "AVG",
+  _min: "MIN",
+  _max: "MAX",
+  _count: "COUNT"
+};
+
+/**
+ * Builds the aggregate column list for aggregate() and groupBy()
+ * Every referenced column is validated against the schema
+ * @param {Object} args - Object holding _sum, _avg, _min, _max and _count selections
+ * @param {string[]} availableFields - List of valid field names
+ * @returns {Object} {cols: string[], aliases: Object} where aliases maps result alias to [group, field]
+ */
+function buildAggregates(args, availableFields) {
+  const cols = [];
+  const aliases = {};
+
+  for (const [group, fn] of Object.entries(AGGREGATE_FUNCTIONS)) {
+    const spec = args[group];
+    if (!spec) continue;
+
+    // _count: true counts all rows
+    if (group === "_count" && spec === true) {
+      cols.push(`COUNT(*) AS "_count"`);
+      aliases._count = ["_count", null];
+      continue;
+    }
+
+    if (typeof spec !== "object") {
+      throw new Error(`Invalid ${group} selection. Must be an object of field names.`);
+    }
+
+    for (const [field, on] of Object.entries(spec)) {
+      if (!on) continue;
+
+      const alias = `${group}__${field}`;
+      if (group === "_count" && field === "_all") {
+        cols.push(`COUNT(*) AS ${quote(alias)}`);
+      } else {
+        if (!availableFields.includes(field)) {
+          throw new Error(`Field "${field}" not found in schema`);
+        }
+        cols.push(`${fn}(${quote(field)}) AS ${quote(alias)}`);
+      }
+      aliases[alias] = [group, field];
+    }
+  }
+
+  return { cols, aliases };
+}
+
+/**
+ * Reshapes a flat aggregate result row into nested groups
+ * e.g. { _sum__total: "12" } becomes { _sum: { total: 12 } }
+ * @param {Object} row - Raw result row
+ * @param {Object} aliases - Alias map returned by buildAggregates
+ * @param {Object} fieldDefs - Field definitions of the table
+ * @returns {Object} Nested aggregate object
+ */
+function shapeAggregates(row, aliases, fieldDefs) {
+  const out = {};
+
+  for (const [alias, [group, field]] of Object.entries(aliases)) {
+    const raw = row[alias];
+    let val = raw;
+
+    // SUM/AVG/COUNT are always numeric; MIN/MAX follow the column type
+    const numeric = group === "_sum" || group === "_avg" || group === "_count" ||
+      NUMERIC_TYPES.has(fieldDefs[field]?.type.toUpperCase());
+    if (numeric && raw !== null && raw !== undefined) {
+      val = Number(raw);
+    }
+    if (group === "_count" && (raw === null || raw === undefined)) {
+      val = 0;
+    }
+
+    if (field === null) {
+      out[group] = val;
+    } else {
+      out[group] = out[group] || {};
+      out[group][field] = val;
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Translates a groupBy `having` object into a filter over the aggregated subquery
+ * e.g. { total: { _sum: { gt: 100 } } } becomes { _sum__total: { gt: 100 } }
+ * @param {Object} having - Having conditions
+ * @param {string[]} availableFields - List of valid field names
+ * @param {Object} aliases - Alias map, extended with aggregates used only in having
+ * @param {string[]} cols - Aggregate column list, extended likewise
+ * @returns {Object} Where-style filter over group and alias columns
+ */
+function translateHaving(having, availableFields, aliases, cols) {
+  const out = {};
+
+  for (const [key, val] of Object.entries(having)) {
+    if (key === "OR") {
+      out.OR = val.map(v => translateHaving(v, availableFields, aliases, cols));
+      continue;
+    }
+    if (key === "NOT") {
+      out.NOT = translateHaving(val, availableFields, aliases, cols);
+      continue;
+    }
+    if (!availableFields.includes(key)) {
+      throw new Error(`Field "${key}" not found in schema`);
+    }
+
+    const aggregated = val && typeof val === "object" && Object.keys(val).some(k => AGGREGATE_FUNCTIONS[k]);
+    if (!aggregated) {
+      out[key] = val;
+      continue;
+    }
+
+    for (const [group, filter] of Object.entries(val)) {
+      const fn = AGGREGATE_FUNCTIONS[group];
+      if (!fn) {
+        throw new Error(`Unknown aggregate in having: ${group}`);
+      }
+      const alias = `${group}__${key}`;
+      if (!aliases[alias]) {
+        cols.push(`${fn}(${quote(key)}) AS ${quote(alias)}`);
+        aliases[alias] = [group, key];
+      }
+      out[alias] = filter;
+    }
+  }
+
+  return out;
+}
+
+// ============================================================================
+// RELATIONS
+// ============================================================================
+
+/**
+ * Maximum number of keys sent in a single IN (...) lookup when resolving relations
+ * Larger key sets are split into several batched follow-up queries
+ */
+const RELATION_BATCH_SIZE = 500;
+
+/**
+ * Resolves connection details for a table
+ * @param {Object} cfg - Table configuration from schema
+ * @param {Object} [clientOptions] - Configuration overrides of the client
+ * @param {Object} [node] - Cluster entry {base, port, username?, password?}; one of the
+ * table's shards, or the table config itself for unsharded tables
+ * @returns {Object} {baseUrls, port, auth, key, options} where key identifies the cluster
+ * and options are the client overrides with the table's own overrides applied
+ */
+function tableConnection(cfg, clientOptions = {}, node = cfg.config) {
+  const baseUrls = sortBaseUrls(node.base);
+  const { port, username = cfg.config.username, password = cfg.config.password } = node;
+  const auth = (username && password) ? { username, password } : null;
+  const options = mergeOptions(clientOptions, tableOptions(cfg.config));
+  return { baseUrls, port, auth, key: `${port}|${JSON.stringify(baseUrls)}`, options };
+}
+
+/**
+ * Splits an array into chunks of at most `size` elements
+ * @param {Array} arr - Array to split
+ * @param {number} size - Maximum chunk size
+ * @returns {Array[]} Array of chunks
+ */
+function chunk(arr, size) {
+  const out = [];
+  for (let i = 0; i < arr.length; i += size) {
+    out.push(arr.slice(i, i + size));
+  }
+  return out;
+}
+
+/**
+ * Ranks a value the way SQLite orders storage classes: NULL < numbers < text
+ * @param {*} v - Value to rank
+ * @returns {number} Storage class rank
+ */
+function sqliteTypeRank(v) {
+  if (v === null || v === undefined) return 0;
+  if (typeof v === "number" || typeof v === "bigint" || typeof v === "boolean") return 1;
+  if (typeof v === "string") return 2;
+  return 3;
+}
+
+/**
+ * Sorts row objects in place following an orderBy definition
+ * Mirrors SQLite ordering so results merged from several queries stay consistent
+ * @param {Object[]} rows - Rows to sort
+ * @param {Object|Object[]} orderBy - Same format as findMany's orderBy
+ * @returns {Object[]} The sorted rows
+ */
+function sortRows(rows, orderBy) {
+  const orders = (Array.isArray(orderBy) ? orderBy : [orderBy]).map(o => {
+    const [col, dir] = Object.entries(o)[0];
+    return [col, dir.toUpperCase() === "DESC" ? -1 : 1];
+  });
+
+  return rows.sort((a, b) => {
+    for (const [col, dir] of orders) {
+      const x = a[col], y = b[col];
+      const rx = sqliteTypeRank(x), ry = sqliteTypeRank(y);
+      if (rx !== ry) return (rx - ry) * dir;
+      if (rx !== 0 && x !== y) return (x < y ? -1 : 1) * dir;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Merges relation names found in `select` with the `include` object
+ * A relation key in select (e.g. { orders: { select: {...} } }) behaves like include
+ * @param {Object} cfg - Table configuration
+ * @param {Object|null} select - Select object of the read
+ * @param {Object|null} include - Include object of the read
+ * @returns {Object} Map of relation name to its read arguments
+ */
+function collectIncludes(cfg, select, include) {
+  const out = {};
+  const relations = cfg.relations || {};
+
+  for (const [k, v] of Object.entries(select || {})) {
+    if (v && relations[k]) out[k] = v === true ? {} : v;
+  }
+  for (const [k, v] of Object.entries(include || {})) {
+    if (!v) continue;
+    if (!relations[k]) {
+      throw new Error(`Relation "${k}" not found in schema`);
+    }
+    out[k] = v === true ? {} : v;
+  }
+
+  return out;
+}
+
+/**
+ * Builds the column list for a read that must also return relation key columns
+ * @param {Object|null} select - Select object of the read
+ * @param {string[]} fields - Available fields of the table
+ * @param {string[]} keys - Columns required to stitch related rows
+ * @param {Object} [exprs] - SQL expressions replacing some columns
+ * @returns {Object} {sel: string, added: string[]} where added lists columns to strip afterwards
+ */
+function buildSelectWithKeys(select, fields, keys, exprs = {}) {
+  const sel = buildSelect(select, fields, exprs);
+  if (sel === "*") return { sel, added: [] };
+
+  const added = [...new Set(keys)].filter(k => !select[k]);
+  return { sel: [sel, ...added.map(quote)].join(", "), added };
+}
+
+/**
+ * Queries one batch of related rows, keyed by the value linking them to their parent
+ * When a join table lives on the same cluster as the target table it is joined in SQL,
+ * and per-parent limits are applied with a window function
+ * @param {Object} target - {table, cfg, conn} of the related table, conn being the shard queried
+ * @param {Object} link - {from, keyExpr} SQL source joined with the target aliased "t"
+ * @param {Array} keys - Parent key values for the IN (...) lookup
+ * @param {Object} args - {where, orderBy, limit, offset, select}
+ * @param {string[]} required - Target columns that must be returned for nested relations
+ * @param {Object} read - Parent read context {level, options, call}
+ * @param {boolean} perParentWindow - Apply limit/offset per parent key in SQL
+ * @returns {Promise<Object[]>} Rows with a "__rqlink_key" property
+ */
+async function queryRelatedBatch(target, link, keys, args, required, read, perParentWindow) {
+  const fields = Object.keys(target.cfg.fields);
+  const { clause, params } = buildWhere(args.where, fields, "p", searchTarget(target.table, target.cfg));
+  const keyParams = keys.map((k, i) => {
+    params[`k_${i}`] = k;
+    return `:k_${i}`;
+  });
+
+  const windowed = perParentWindow && (args.limit !== undefined || args.offset !== undefined);
+  const rowNumber = windowed
+    ? `, ROW_NUMBER() OVER (PARTITION BY ${link.keyExpr}${args.orderBy ? ` ORDER BY ${buildOrderBy(args.orderBy, '"t".')}` : ""}) AS "__rqlink_rn"`
+    : "";
+
+  const { sel } = buildSelectWithKeys(args.select, fields, required);
+  let sql = `SELECT ${sel === "*" ? "*" : `${sel}, "__rqlink_key"`} FROM (` +
+    `SELECT "t".*, ${link.keyExpr} AS "__rqlink_key"${rowNumber} ` +
+    `FROM (SELECT * FROM ${quote(target.table)} WHERE ${excludeDeleted(target.cfg, clause, args.withDeleted)}) AS "t"${link.from} ` +
+    `WHERE ${link.keyExpr} IN (${keyParams.join(", ")}))`;
+
+  if (windowed) {
+    const offset = args.offset || 0;
+    sql += ` WHERE "__rqlink_rn" > ${offset}`;
+    if (args.limit !== undefined) sql += ` AND "__rqlink_rn" <= ${offset + args.limit}`;
+  }
+  if (args.orderBy) {
+    sql += ` ORDER BY ${buildOrderBy(args.orderBy)}`;
+  }
+
+  const { baseUrls, port, auth, options } = target.conn;
+  return await querySQL(baseUrls, port, sql, params, auth, read.level, mergeOptions(options, read.call));
+}
+
+/**
+ * Validates limit/offset arguments of an included relation
+ * @param {Object} args - Relation read arguments
+ * @throws {Error} If limit or offset is not a non-negative integer
+ */
+function validateRelationPaging(args) {
+  for (const k of ["limit", "offset"]) {
+    if (args[k] !== undefined && (!Number.isInteger(args[k]) || args[k] < 0)) {
+      throw new Error(`Invalid ${k}. Must be a non-negative integer.`);
+    }
+  }
+}
+
+/**
+ * Loads related rows for a set of parent key values, grouped by parent key
+ * Same-cluster relations use IN (...) lookups (and a JOIN for many-to-many);
+ * cross-cluster and sharded join tables are resolved with batched follow-up queries,
+ * and sharded targets are read from every shard that may hold them
+ * @param {Object} rel - Relation definition
+ * @param {Array} keys - Distinct parent key values
+ * @param {Object} args - Relation read arguments
+ * @param {Object} schemaDef - Complete schema definition
+ * @param {Object} read - Parent read context {level, options, call}: consistency level,
+ * client configuration overrides and per-call overrides
+ * @returns {Promise<Map>} Map of parent key value to related row array
+ */
+async function loadRelated(rel, keys, args, schemaDef, read) {
+  validateRelationPaging(args);
+
+  const targetCfg = schemaDef[rel.model];
+  const target = { table: rel.model, cfg: targetCfg };
+  const targetConns = tableShards(targetCfg, read.options);
+  const nested = collectIncludes(targetCfg, args.select, args.include);
+  const orderCols = args.orderBy ? (Array.isArray(args.orderBy) ? args.orderBy : [args.orderBy]).map(o => Object.keys(o)[0]) : [];
+  const required = [rel.references, ...orderCols, ...Object.keys(nested).map(n => targetCfg.relations[n].field)];
+  const grouped = new Map();
+  let rows = [];
+
+  // Rows of several shards or clusters are merged, then ordered and paged per parent in JS
+  let pageInJS = false;
+
+  if (rel.type !== "manyToMany") {
+    // Direct lookup on the related table: one IN (...) query per batch of keys and shard
+    const link = { from: "", keyExpr: `"t".${quote(rel.references)}` };
+    pageInJS = targetConns.length > 1;
+    const shardArgs = pageInJS
+      ? { ...args, offset: undefined, limit: args.limit === undefined ? undefined : (args.offset || 0) + args.limit }
+      : args;
+
+    for (const [conn, shardKeys] of partitionByShard(targetCfg, targetConns, rel.references, keys)) {
+      for (const batch of chunk(shardKeys, RELATION_BATCH_SIZE)) {
+        rows.push(...await queryRelatedBatch({ ...target, conn }, link, batch, shardArgs, required, read, true));
+      }
+    }
+    if (pageInJS && args.orderBy) sortRows(rows, args.orderBy);
+  } else {
+    const through = rel.through;
+    const throughCfg = schemaDef[through.model];
+    const throughConns = tableShards(throughCfg, read.options);
+
+    if (throughConns.length === 1 && targetConns.length === 1 && throughConns[0].key === targetConns[0].key) {
+      // Join table on the same cluster - resolve with a single JOIN per batch. The query
+      // windows limit/offset per parent, so these rows must not be paged again in JS
+      const liveLink = excludeDeleted(throughCfg, "1=1", args.withDeleted, '"j".');
+      const link = {
+        from: ` JOIN ${quote(through.model)} AS "j" ON "j".${quote(through.references)} = "t".${quote(rel.references)} AND ${liveLink}`,
+        keyExpr: `"j".${quote(through.field)}`
+      };
+      for (const batch of chunk(keys, RELATION_BATCH_SIZE)) {
+        rows.push(...await queryRelatedBatch({ ...target, conn: targetConns[0] }, link, batch, args, required, read, true));
+      }
+    } else {
+      // Join table on another cluster or sharded - read the links first, then the targets
+      pageInJS = true;
+      const links = [];
+      for (const [throughConn, shardKeys] of partitionByShard(throughCfg, throughConns, through.field, keys)) {
+        for (const batch of chunk(shardKeys, RELATION_BATCH_SIZE)) {
+          const params = {};
+          const ph = batch.map((k, i) => {
+            params[`k_${i}`] = k;
+            return `:k_${i}`;
+          });
+          links.push(...await querySQL(
+            throughConn.baseUrls,
+            throughConn.port,
+            `SELECT ${quote(through.field)} AS "from_key", ${quote(through.references)} AS "to_key" FROM ${quote(through.model)} WHERE ${excludeDeleted(throughCfg, `${quote(through.field)} IN (${ph.join(", ")})`, args.withDeleted)};`,
+            params,
+            throughConn.auth,
+            read.level,
+            mergeOptions(throughConn.options, read.call)
+          ));
+        }
+      }
+
+      const parentsByRef = new Map();
+      for (const l of links) {
+        if (!parentsByRef.has(l.to_key)) parentsByRef.set(l.to_key, []);
+        parentsByRef.get(l.to_key).push(l.from_key);
+      }
+
+      const link = { from: "", keyExpr: `"t".${quote(rel.references)}` };
+      const targets = [];
+      for (const [conn, refs] of partitionByShard(targetCfg, targetConns, rel.references, [...parentsByRef.keys()])) {
+        for (const batch of chunk(refs, RELATION_BATCH_SIZE)) {
+          targets.push(...await queryRelatedBatch({ ...target, conn }, link, batch, { ...args, limit: undefined, offset: undefined }, required, read, false));
+        }
+      }
+      if (args.orderBy) sortRows(targets, args.orderBy);
+
+      // Fan each target row out to every parent linked to it
+      for (const row of targets) {
+        for (const parentKey of parentsByRef.get(row.__rqlink_key) || []) {
+          rows.push({ ...row, __rqlink_key: parentKey });
+        }
+      }
+    }
+  }
+
+  // Resolve nested includes on the related rows before grouping them
+  if (Object.keys(nested).length > 0) {
+    await resolveIncludes(rows, targetCfg, nested, schemaDef, read);
+  }
+
+  const extra = args.select ? required.filter(k => !args.select[k]) : [];
+  for (const row of rows) {
+    const key = row.__rqlink_key;
+    delete row.__rqlink_key;
+    delete row.__rqlink_rn;
+    for (const k of extra) delete row[k];
+
+    if (!grouped.has(key)) grouped.set(key, []);
+    grouped.get(key).push(row);
+  }
+
+  // Merged rows are paged per parent in JS; rows read in one query are already paged
+  if (pageInJS && (args.limit !== undefined || args.offset !== undefined)) {
+    const start = args.offset || 0;
+    for (const [k, list] of grouped) {
+      grouped.set(k, list.slice(start, args.limit !== undefined ? start + args.limit : undefined));
+    }
+  }
+
+  return grouped;
+}
+
+/**
+ * Attaches included relations to a set of rows
+ * One-to-many and many-to-many relations become arrays, many-to-one relations
+ * become a single object or null
+ * @param {Object[]} rows - Parent rows (mutated in place)
+ * @param {Object} cfg - Parent table configuration
+ * @param {Object} includes - Map of relation name to read arguments
+ * @param {Object} schemaDef - Complete schema definition
+ * @param {Object} read - Parent read context {level, options, call}
+ * @returns {Promise<Object[]>} The same rows with relations attached
+ */
+async function resolveIncludes(rows, cfg, includes, schemaDef, read) {
+  if (rows.length === 0) return rows;
+
+  for (const [name, args] of Object.entries(includes)) {
+    const rel = cfg.relations[name];
+    const keys = [...new Set(rows.map(r => r[rel.field]).filter(v => v !== null && v !== undefined))];
+    const grouped = keys.length > 0 ? await loadRelated(rel, keys, args, schemaDef, read) : new Map();
+
+    for (const row of rows) {
+      const list = grouped.get(row[rel.field]) || [];
+      row[name] = rel.type === "manyToOne" ? (list[0] || null) : list;
+    }
+  }
+
+  return rows;
+}
+
+// ============================================================================
+// SHARDING
+// ============================================================================
+
+/**
+ * Resolves the connections of every cluster holding a table
+ * @param {Object} cfg - Table configuration from schema
+ * @param {Object} [clientOptions] - Configuration overrides of the client
+ * @returns {Object[]} One connection per shard (see tableConnection); a single
+ * connection for unsharded tables
+ */
+function tableShards(cfg, clientOptions = {}) {
+  const { shards } = cfg.config;
+  return shards
+    ? shards.map(shard => tableConnection(cfg, clientOptions, shard))
+    : [tableConnection(cfg, clientOptions)];
+}
+
+/**
+ * Hashes a shard key value (FNV-1a) to the index of the shard holding it
+ * Values are coerced to the column type first, so 42 and "42" land on the same shard
+ * @param {Object} cfg - Configuration of a sharded table
+ * @param {*} value - Shard key value
+ * @returns {number} Shard index
+ */
+function shardIndex(cfg, value) {
+  const { shards, shardKey } = cfg.config;
+  const res = coerceValue(value, cfg.fields[shardKey].type.toUpperCase());
+  const v = res.error ? value : res.value;
+  return parseInt(checksum(String(v)), 16) % shards.length;
+}
+
+/**
+ * Collects the shard key values a filter pins the table to
+ * Equality, `equals` and `in` on the shard key pin it; AND narrows and OR widens the
+ * set. Anything else (ranges, NOT, insensitive matches) may match on every shard.
+ * @param {string} shardKey - Shard key column
+ * @param {Object} where - Filter in findMany format
+ * @returns {Array|null} Shard key values, or null when rows may live on any shard
+ */
+function pinnedShardValues(shardKey, where) {
+  if (!isPlainObject(where)) return null;
+  let values = null;
+  const narrow = (vs) => {
+    if (vs !== null) values = values === null ? vs : values.filter(v => vs.includes(v));
+  };
+
+  const val = where[shardKey];
+  if (val !== undefined && val !== null) {
+    if (typeof val !== "object") {
+      narrow([val]);
+    } else if (isPlainObject(val) && val.mode !== "insensitive") {
+      if (val.equals !== undefined && val.equals !== null && typeof val.equals !== "object") narrow([val.equals]);
+      if (Array.isArray(val.in)) narrow(val.in.filter(v => v !== null && typeof v !== "object"));
+    }
+  }
+
+  for (const w of [].concat(where.AND || [])) {
+    narrow(pinnedShardValues(shardKey, w));
+  }
+
+  if (Array.isArray(where.OR) && where.OR.length > 0) {
+    const branches = where.OR.map(w => pinnedShardValues(shardKey, w));
+    if (branches.every(b => b !== null)) narrow(branches.flat());
+  }
+
+  return values;
+}
+
+/**
+ * Picks the shards a filtered statement has to run on
+ * @param {Object} cfg - Table configuration
+ * @param {Object[]} conns - Connections from tableShards
+ * @param {Object} [where] - Filter in findMany format
+ * @returns {Object[]} Connections of the shards that may hold matching rows
+ */
+function filterShards(cfg, conns, where) {
+  if (conns.length === 1) return conns;
+
+  const values = pinnedShardValues(cfg.config.shardKey, where);
+  if (values === null) return conns;
+
+  const indexes = new Set(values.map(v => shardIndex(cfg, v)));
+  return conns.filter((c, i) => indexes.has(i));
+}
+
+/**
+ * Picks the shard an INSERT built by buildInsert or buildInsertMany goes to
+ * validateData guarantees the shard key is set on sharded tables
+ * @param {Object} cfg - Table configuration
+ * @param {Object[]} conns - Connections from tableShards
+ * @param {*} value - Shard key value of the row
+ * @returns {Object} Connection of the shard
+ */
+function insertShard(cfg, conns, value) {
+  return conns.length === 1 ? conns[0] : conns[shardIndex(cfg, value)];
+}
+
+/**
+ * Splits lookup values by the shard holding them
+ * Values of the shard key column go to their own shard; values of any other
+ * column have to be looked up on every shard
+ * @param {Object} cfg - Table configuration
+ * @param {Object[]} conns - Connections from tableShards
+ * @param {string} column - Column the values are matched against
+ * @param {Array} values - Lookup values
+ * @returns {Array[]} List of [connection, values] pairs
+ */
+function partitionByShard(cfg, conns, column, values) {
+  if (conns.length === 1 || column !== cfg.config.shardKey) {
+    return conns.map(c => [c, values]);
+  }
+
+  const parts = conns.map(c => [c, []]);
+  for (const v of values) parts[shardIndex(cfg, v)][1].push(v);
+  return parts.filter(([, vs]) => vs.length > 0);
+}
+
+/**
+ * Combines aggregate rows computed on several shards into one
+ * _avg needs the per-shard sums and counts, read under the aliases added by avgParts
+ * @param {Object[]} rows - Raw aggregate rows, one per shard
+ * @param {Object} aliases - Alias map returned by buildAggregates
+ * @returns {Object} Raw aggregate row as a single query would return it
+ */
+function combineAggregates(rows, aliases) {
+  const out = {};
+  const present = (alias) => rows.map(r => r[alias]).filter(v => v !== null && v !== undefined);
+
+  for (const [alias, [group]] of Object.entries(aliases)) {
+    const vals = present(alias);
+    if (group === "_count") {
+      out[alias] = vals.reduce((n, v) => n + Number(v), 0);
+    } else if (group === "_sum") {
+      out[alias] = vals.length > 0 ? vals.reduce((n, v) => n + Number(v), 0) : null;
+    } else if (group === "_avg") {
+      const sum = present(`${alias}__sum`).reduce((n, v) => n + Number(v), 0);
+      const count = present(`${alias}__n`).reduce((n, v) => n + Number(v), 0);
+      out[alias] = count > 0 ? sum / count : null;
+    } else {
+      const dir = group === "_min" ? "ASC" : "DESC";
+      out[alias] = vals.length > 0 ? sortRows(vals.map(v => ({ v })), { v: dir })[0].v : null;
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Lists the extra columns combineAggregates needs to merge _avg across shards
+ * @param {Object} aliases - Alias map returned by buildAggregates
+ * @returns {string[]} SUM and COUNT columns for every _avg alias
+ */
+function avgParts(aliases) {
+  return Object.entries(aliases)
+    .filter(([, [group]]) => group === "_avg")
+    .flatMap(([alias, [, field]]) => [
+      `SUM(${quote(field)}) AS ${quote(`${alias}__sum`)}`,
+      `COUNT(${quote(field)}) AS ${quote(`${alias}__n`)}`
+    ]);
+}
+
+// ============================================================================
+// RAW SQL
+// ============================================================================
+
+/**
+ * A raw SQL fragment: literal text split around interpolated values
+ * Values are always sent as named parameters; nested fragments (from Sql.sql,
+ * Sql.join or Sql.identifier) are spliced in as SQL text
+ * @example
+ * const cols = Sql.join([Sql.identifier("id"), Sql.identifier("email")]);
+ * const q = Sql.sql`SELECT ${cols} FROM users WHERE id IN (${Sql.join(ids)})`;
+ * await db.users.$queryRaw(q, { level: "strong" });
+ */
+export class Sql {
+  /**
+   * @param {string[]} strings - Literal parts (one more than values)
+   * @param {Array} values - Interpolated values or nested Sql fragments
+   * @throws {Error} If a value is undefined
+   */
+  constructor(strings, values = []) {
+    this.strings = [strings[0]];
+    this.values = [];
+
+    values.forEach((v, i) => {
+      if (v instanceof Sql) {
+        this.strings[this.strings.length - 1] += v.strings[0];
+        v.values.forEach((nested, j) => {
+          this.values.push(nested);
+          this.strings.push(v.strings[j + 1]);
+        });
+        this.strings[this.strings.length - 1] += strings[i + 1];
+        return;
+      }
+      if (v === undefined) {
+        throw new Error(`Raw SQL value #${i + 1} is undefined`);
+      }
+      this.values.push(v);
+      this.strings.push(strings[i + 1]);
+    });
+  }
+
+  /**
+   * Tagged template building a fragment, for queries assembled in pieces
+   * @param {string[]} strings - Template literal parts
+   * @param {...*} values - Interpolated values
+   * @returns {Sql} SQL fragment
+   */
+  static sql(strings, ...values) {
+    return new Sql(strings, values);
+  }
+
+  /**
+   * Joins values or fragments with a separator, e.g. for IN lists
+   * @param {Array} items - Values or Sql fragments (at least one)
+   * @param {string} [separator] - Text between items (default: ", ")
+   * @param {string} [prefix] - Text before the first item
+   * @param {string} [suffix] - Text after the last item
+   * @returns {Sql} SQL fragment
+   * @throws {Error} If items is empty
+   */
+  static join(items, separator = ", ", prefix = "", suffix = "") {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error("Sql.join() requires a non-empty array");
+    }
+    return new Sql([prefix, ...Array(items.length - 1).fill(separator), suffix], items);
+  }
+
+  /**
+   * Quotes a validated identifier; "table.column" is quoted part by part
+   * @param {string} name - Table or column name
+   * @returns {Sql} SQL fragment
+   * @throws {Error} If a part is not a valid name
+   */
+  static identifier(name) {
+    const parts = typeof name === "string" ? name.split(".") : [];
+    if (parts.length === 0 || parts.length > 2 || !parts.every(p => VALID_NAME.test(p))) {
+      throw new Error(`Invalid SQL identifier: ${name}`);
+    }
+    return new Sql([parts.map(quote).join(".")]);
+  }
+
+  /**
+   * Renders the fragment with :r0, :r1... placeholders
+   * @returns {Object} {sql, params}
+   */
+  toQuery() {
+    const params = {};
+    let sql = this.strings[0];
+    this.values.forEach((v, i) => {
+      params[`r${i}`] = v;
+      sql += `:r${i}${this.strings[i + 1]}`;
+    });
+    return { sql, params };
+  }
+}
+
+/**
+ * Accepts either a tagged template call or a prebuilt fragment plus options
+ * Plain strings are rejected so values cannot be concatenated into the SQL
+ * @param {string} method - Method name for error messages
+ * @param {Array} args - Arguments the method was called with
+ * @returns {Object} {query: Sql, opts: Object}
+ * @throws {Error} If called with anything else
+ */
+function rawArgs(method, [first, ...rest]) {
+  if (first instanceof Sql) {
+    return { query: first, opts: rest[0] || {} };
+  }
+  if (Array.isArray(first) && Array.isArray(first.raw)) {
+    return { query: new Sql(first, rest), opts: {} };
+  }
+  throw new Error(`${method} must be used as a tagged template or given a Sql fragment`);
+}
+
+/**
+ * Builds the $queryRaw/$executeRaw pair for one cluster, or for every shard of a table
+ * @param {Object|Object[]|null} conn - Connection from tableConnection, the shard
+ * connections of a sharded table, or null when the schema spans several clusters and
+ * a table must be picked
+ * @param {string|null} [tableName] - Table the statements are reported under by instrumentation
+ * @returns {Object} {$queryRaw, $executeRaw}
+ */
+function rawSQL(conn, tableName = null) {
+  const operation = (action) => ({ operation: { table: tableName, action } });
+  const connections = () => {
+    if (!conn) {
+      throw new Error("Schema tables live on several clusters; use db.<table>.$queryRaw / $executeRaw");
+    }
+    return [].concat(conn);
+  };
+
+  return {
+    /**
+     * Runs a raw read query on the cluster; on sharded tables, on every shard with the
+     * rows concatenated
+     * @example
+     * await db.users.$queryRaw`SELECT * FROM users WHERE id = ${id}`;
+     * await db.users.$queryRaw(Sql.sql`SELECT 1`, { level: "strong", timeout: 1000 });
+     * @returns {Promise<Object[]>} Row objects, as returned by querySQL
+     */
+    async $queryRaw(...args) {
+      const { query, opts } = rawArgs("$queryRaw", args);
+      const { sql, params } = query.toQuery();
+      const results = await Promise.all(connections().map(({ baseUrls, port, auth, options }) =>
+        querySQL(baseUrls, port, sql, params, auth, opts.level || null, mergeOptions(options, callOptions(opts), operation("$queryRaw")))
+      ));
+      return results.flat();
+    },
+
+    /**
+     * Runs a raw write statement on the cluster; on sharded tables, on every shard
+     * @example
+     * await db.users.$executeRaw`UPDATE users SET name = ${name} WHERE id = ${id}`;
+     * @returns {Promise<Object>} {count, lastInsertId} where count adds up all shards and
+     * lastInsertId is null for sharded tables
+     */
+    async $executeRaw(...args) {
+      const { query, opts } = rawArgs("$executeRaw", args);
+      const targets = connections();
+      const { sql, params } = query.toQuery();
+      const results = await Promise.all(targets.map(({ baseUrls, port, auth, options }) =>
+        executeSQL(baseUrls, port, sql, params, auth, mergeOptions(options, callOptions(opts), operation("$executeRaw")))
+      ));
+      const rs = results.map(res => res.results?.[0] || {});
+      return {
+        count: rs.reduce((n, r) => n + (r.rows_affected || 0), 0),
+        lastInsertId: targets.length === 1 ? rs[0].last_insert_id ?? null : null
+      };
+    }
+  };
+}
+
+// ============================================================================
+// MIDDLEWARE AND HOOKS
+// ============================================================================
+
+/**
+ * Hook group of every intercepted model action
+ * A table's `hooks` may define before<Group> (receives args) and after<Group>
+ * (receives the result) for each group
+ */
+const ACTION_HOOKS = {
+  create: "Create",
+  createMany: "Create",
+  createManyAndReturn: "Create",
+  upsert: "Create",
+  findMany: "Find",
+  findUnique: "Find",
+  findFirst: "Find",
+  findUniqueOrThrow: "Find",
+  findFirstOrThrow: "Find",
+  count: "Find",
+  aggregate: "Find",
+  groupBy: "Find",
+  update: "Update",
+  updateMany: "Update",
+  updateManyAndReturn: "Update",
+  restore: "Update",
+  delete: "Delete",
+  deleteMany: "Delete",
+  hardDelete: "Delete"
+};
+
+/**
+ * Hook names accepted in a table's `hooks` block
+ */
+const TABLE_HOOKS = ["Create", "Find", "Update", "Delete"].flatMap(g => [`before${g}`, `after${g}`]);
+
+/**
+ * Runs one operation through the client middleware chain and the table hooks
+ * Middleware is called as fn(params, next) with params {table, action, args, batch?}
+ * and may change params before calling next(params) or replace the result.
+ * Inside the chain, before<Group> and after<Group> hooks run around the query;
+ * a hook returning a value replaces the args or result, returning nothing keeps them.
+ * @param {Function[]} middlewares - Middleware registered with $use, outermost first
+ * @param {Object} cfg - Table configuration
+ * @param {Object} params - {table, action, args, batch?}
+ * @param {Function} query - (args) => Promise of the operation result
+ * @returns {Promise<*>} Operation result
+ */
+async function runOperation(middlewares, cfg, params, query) {
+  const group = ACTION_HOOKS[params.action];
+  const hooks = cfg.hooks || {};
+
+  const core = async ({ table, action, args }) => {
+    const ctx = { table, action, batch: !!params.batch };
+
+    const before = hooks[`before${group}`];
+    if (before) {
+      const replaced = await before(args, ctx);
+      if (replaced !== undefined) args = replaced;
+    }
+
+    let result = await query(args);
+
+    const after = hooks[`after${group}`];
+    if (after) {
+      const replaced = await after(result, { ...ctx, args });
+      if (replaced !== undefined) result = replaced;
+    }
+
+    return result;
+  };
+
+  const dispatch = (i, p) => i < middlewares.length
+    ? middlewares[i](p, (next = p) => dispatch(i + 1, next))
+    : core(p);
+
+  return dispatch(0, params);
+}
+
+/**
+ * Wraps a model so every action goes through middleware and table hooks
+ * Calls a model makes internally (findUnique -> findMany) are not intercepted again;
+ * iterate() and exportTo() are not intercepted themselves but each page they load
+ * runs as a findMany
+ * @param {string} tableName - Name of the table
+ * @param {Object} cfg - Table configuration
+ * @param {Object} model - Model built by buildModel
+ * @param {Function[]} middlewares - Middleware registered with $use
+ * @returns {Object} Model with the same methods
+ */
+function withMiddleware(tableName, cfg, model, middlewares) {
+  const wrapped = {};
+
+  for (const action of Object.keys(ACTION_HOOKS)) {
+    wrapped[action] = (args = {}) => runOperation(
+      middlewares,
+      cfg,
+      { table: tableName, action, args },
+      (a) => model[action](a)
+    );
+  }
+  wrapped.iterate = model.iterate.bind(wrapped);
+  wrapped.exportTo = model.exportTo.bind(wrapped);
+  // Imports and raw SQL bypass middleware and hooks
+  wrapped.importFrom = model.importFrom;
+  wrapped.$queryRaw = model.$queryRaw;
+  wrapped.$executeRaw = model.$executeRaw;
+
+  return wrapped;
+}
+
+// ============================================================================
+// QUERY CACHE
+// ============================================================================
+
+/**
+ * Model reads whose results may be cached with a `cache: { ttl }` option
+ */
+const CACHED_ACTIONS = new Set([
+  "findMany", "findUnique", "findFirst", "findUniqueOrThrow", "findFirstOrThrow",
+  "count", "aggregate", "groupBy"
+]);
+
+/**
+ * Validates a table-level or per-call cache option
+ * @param {*} opt - Cache option, expected { ttl } with ttl in milliseconds
+ * @param {string} owner - Description used in the error message
+ * @throws {Error} If the option is not { ttl: <positive number> }
+ */
+function validateCacheOption(opt, owner) {
+  if (!isPlainObject(opt) || typeof opt.ttl !== "number" || !(opt.ttl > 0) || !Number.isFinite(opt.ttl)) {
+    throw new Error(`Invalid cache for ${owner}. Use { ttl: <milliseconds> } or false.`);
+  }
+}
+
+/**
+ * Creates the default query cache store: an in-memory LRU with per-entry TTL
+ * Any object with the same three methods can be passed as the `cacheStore` client
+ * option instead (e.g. a Redis adapter); each method may return a promise.
+ * - get(key): cached value, or undefined on a miss
+ * - set(key, value, { ttl, tables }): stores a value for ttl milliseconds, tagged with
+ *   the tables it was read from
+ * - invalidate(tables): drops every entry tagged with one of the tables
+ * Values are cloned on the way in and out so callers cannot mutate cached rows.
+ * @param {Object} [options] - {maxEntries?: number} (default: 1000)
+ * @returns {Object} Store with get, set and invalidate
+ * @example
+ * const client = createClient(schema, { cacheStore: createMemoryCache({ maxEntries: 5000 }) });
+ */
+export function createMemoryCache({ maxEntries = 1000 } = {}) {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (Date.now() > entry.expires) {
+        entries.delete(key);
+        return undefined;
+      }
+
+      // Re-insert so Map order tracks recency of use
+      entries.delete(key);
+      entries.set(key, entry);
+      return structuredClone(entry.value);
+    },
+
+    set(key, value, { ttl, tables = [] }) {
+      entries.delete(key);
+      if (entries.size >= maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      entries.set(key, { value: structuredClone(value), expires: Date.now() + ttl, tables });
+    },
+
+    invalidate(tables) {
+      for (const [key, entry] of entries) {
+        if (entry.tables.some(t => tables.includes(t))) entries.delete(key);
+      }
+    }
+  };
+}
+
+/**
+ * Binds a cache store to the tables of a schema
+ * Entries are tagged "<table>|<cluster>" so clients sharing a store only invalidate
+ * the tables they write to. A write that completes while a read is loading bumps
+ * the table's generation, and the possibly stale result is then not stored.
+ * @param {Object} store - Cache store (see createMemoryCache)
+ * @param {Object} schemaDef - Complete schema definition
+ * @param {Object} clientOptions - Configuration overrides of the client
+ * @returns {Object} {read(tables, ttl, key, load), invalidate(tables), tables(conn)}
+ */
+function createQueryCache(store, schemaDef, clientOptions) {
+  const tags = {};
+  const clusters = {};
+  for (const [t, cfg] of Object.entries(schemaDef)) {
+    clusters[t] = tableShards(cfg, clientOptions).map(c => c.key);
+    tags[t] = `${t}|${clusters[t].join(",")}`;
+  }
+  const generations = new Map();
+  const generation = (ts) => ts.map(t => generations.get(t) || 0).join(",");
+
+  return {
+    /**
+     * Returns the cached result of a read, loading and storing it on a miss
+     * @param {string[]} tables - Tables the result was read from
+     * @param {number} ttl - Time to live in milliseconds
+     * @param {string} key - Cache key of the read
+     * @param {Function} load - () => Promise of the result
+     * @returns {Promise<*>} Read result
+     */
+    async read(tables, ttl, key, load) {
+      const ts = [...new Set(tables)].map(t => tags[t]);
+      const hit = await store.get(key);
+      if (hit !== undefined) return hit;
+
+      const before = generation(ts);
+      const value = await load();
+      if (generation(ts) === before) {
+        await store.set(key, value, { ttl, tables: ts });
+      }
+      return value;
+    },
+
+    /**
+     * Drops the cached reads of the given tables
+     * @param {string[]} tables - Table names
+     * @returns {Promise<void>}
+     */
+    async invalidate(tables) {
+      const ts = tables.map(t => tags[t]);
+      for (const t of ts) generations.set(t, (generations.get(t) || 0) + 1);
+      await store.invalidate(ts);
+    },
+
+    /**
+     * Lists the schema tables stored, in whole or in part, on any of the given clusters
+     * @param {Object|Object[]} conns - Connection(s) from tableConnection or tableShards
+     * @returns {string[]} Table names
+     */
+    tables(conns) {
+      const keys = [].concat(conns).map(c => c.key);
+      return Object.keys(clusters).filter(t => clusters[t].some(k => keys.includes(k)));
+    }
+  };
+}
+
+/**
+ * Lists the tables a read with includes loads rows from, nested includes and
+ * many-to-many join tables included
+ * @param {Object} cfg - Table configuration
+ * @param {Object} includes - Map of relation name to read arguments (see collectIncludes)
+ * @param {Object} schemaDef - Complete schema definition
+ * @returns {string[]} Table names (may repeat)
+ */
+function includedTables(cfg, includes, schemaDef) {
+  const out = [];
+  for (const [name, args] of Object.entries(includes)) {
+    const rel = cfg.relations[name];
+    const target = schemaDef[rel.model];
+    out.push(rel.model);
+    if (rel.through) out.push(rel.through.model);
+    out.push(...includedTables(target, collectIncludes(target, args.select, args.include), schemaDef));
+  }
+  return out;
+}
+
+/**
+ * Builds the cache key of a model read
+ * Per-call request options are left out; RegExp and BigInt values are kept distinct
+ * @param {string} tableName - Name of the table
+ * @param {Object[]} conns - Connections from tableShards
+ * @param {string} action - Model action
+ * @param {Object} args - Read arguments without the cache option
+ * @returns {string} Cache key
+ */
+function cacheKey(tableName, conns, action, args) {
+  const keyArgs = Object.fromEntries(Object.entries(args).filter(([k]) => !CALL_OPTIONS.includes(k)));
+  const json = JSON.stringify(keyArgs, (k, v) => {
+    if (v instanceof RegExp) return `/${v.source}/${v.flags}`;
+    if (typeof v === "bigint") return `${v}n`;
+    return v;
+  });
+  return `${tableName}|${conns.map(c => c.key).join(",")}|${action}|${json}`;
+}
+
+/**
+ * Wraps a model with the query cache
+ * Reads use the per-call `cache` option, falling back to the table's `cache`;
+ * `cache: false` bypasses it. Every create, update and delete invalidates the table,
+ * also when it fails, since a failed write may still have been applied.
+ * @param {string} tableName - Name of the table
+ * @param {Object} cfg - Table configuration
+ * @param {Object} model - Model built by buildModel
+ * @param {Object} schemaDef - Complete schema definition
+ * @param {Object} queryCache - Cache from createQueryCache
+ * @param {Object} [clientOptions] - Configuration overrides of the client
+ * @returns {Object} Model with the same methods
+ */
+function withQueryCache(tableName, cfg, model, schemaDef, queryCache, clientOptions = {}) {
+  const conns = tableShards(cfg, clientOptions);
+  const wrapped = { ...model };
+
+  for (const [action, group] of Object.entries(ACTION_HOOKS)) {
+    if (CACHED_ACTIONS.has(action)) {
+      wrapped[action] = async ({ cache, ...args } = {}) => {
+        const opt = cache === undefined ? cfg.cache : cache;
+        if (!opt) return model[action](args);
+        validateCacheOption(opt, `${tableName}.${action}()`);
+
+        const tables = [tableName, ...includedTables(cfg, collectIncludes(cfg, args.select, args.include), schemaDef)];
+        return queryCache.read(tables, opt.ttl, cacheKey(tableName, conns, action, args), () => model[action](args));
+      };
+    } else if (group !== "Find") {
+      wrapped[action] = async (args) => {
+        try {
+          return await model[action](args);
+        } finally {
+          await queryCache.invalidate([tableName]);
+        }
+      };
+    }
+  }
+
+  wrapped.importFrom = async (...args) => {
+    try {
+      return await model.importFrom(...args);
+    } finally {
+      await queryCache.invalidate([tableName]);
+    }
+  };
+
+  // Raw statements may write to any table of the cluster (or of the shards' clusters)
+  wrapped.$executeRaw = async (...args) => {
+    try {
+      return await model.$executeRaw(...args);
+    } finally {
+      await queryCache.invalidate(queryCache.tables(conns));
+    }
+  };
+
+  return wrapped;
+}
+
+// ============================================================================
+// MODEL BUILDER
+// ============================================================================
+
+/**
+ * Builds a model object with CRUD methods for a table
+ * @param {string} tableName - Name of the table
+ * @param {Object} cfg - Table configuration from schema
+ * @param {Object} schemaDef - Complete schema definition (used to resolve relations)
+ * @param {Object} [clientOptions] - Configuration overrides of the client
+ * @returns {Object} Model object with create, findMany, update, delete, count methods
+ */
+function buildModel(tableName, cfg, schemaDef, clientOptions = {}) {
+  const conns = tableShards(cfg, clientOptions);
+  const { options } = conns[0];
+  const { shardKey } = cfg.config;
+  const fields = Object.keys(cfg.fields);
+  const qTable = quote(tableName);
+  const softField = softDeleteField(cfg);
+  const search = searchTarget(tableName, cfg);
+
+  // Per-call overrides (timeout, freshness, signal) take precedence over table options
+  const withCall = (args) => mergeOptions(options, callOptions(args));
+
+  // Sharded tables route rows by their shard key; filters that do not pin it run on every shard
+  const shardsFor = (where) => filterShards(cfg, conns, where);
+  const shardOf = (row) => (conns.length === 1 ? 0 : shardIndex(cfg, row[shardKey]));
+  const readShards = async (targets, sql, params, level, call) => {
+    const results = await Promise.all(targets.map(c => querySQL(c.baseUrls, c.port, sql, params, c.auth, level, withCall(call))));
+    return results.flat();
+  };
+  const executeShards = (targets, sql, params, call) =>
+    Promise.all(targets.map(c => executeSQL(c.baseUrls, c.port, sql, params, c.auth, withCall(call))));
+  const affected = (responses) => responses.reduce((n, res) => n + (res.results?.[0]?.rows_affected || 0), 0);
+
+  return {
+    /**
+     * Creates a new record in the table
+     * onConflict: "ignore" skips a conflicting row (returns null), "replace" replaces it,
+     * { target, update } updates the existing row instead
+     * @param {Object} options - {data: Object, select?: Object, onConflict?: string|Object}
+     * @returns {Promise<Object|null>} Created record
+     */
+    async create({ data, select, onConflict, ...call }) {
+      const { sql, params, row } = buildInsert(tableName, cfg, data, onConflict);
+      const { baseUrls, port, auth } = insertShard(cfg, conns, row[shardKey]);
+
+      const res = await executeSQL(baseUrls, port, `${sql} RETURNING *;`, params, auth, withCall(call));
+      const r = res.results?.[0] || {};
+
+      if (r.values?.length > 0) {
+        const obj = {};
+        r.columns.forEach((c, i) => obj[c] = r.values[0][i]);
+
+        // Apply select filter if provided
+        return applySelect(obj, select);
+      }
+
+      // Ignored conflicts insert nothing
+      if (onConflict === "ignore") {
+        return null;
+      }
+
+      return data;
+    },
+
+    /**
+     * Creates a record or updates the existing one in a single atomic statement
+     * `where` must identify the row by its primary key or a unique index; its values are
+     * merged into `create`, and `update` accepts the same operators as update()
+     * @param {Object} options - {where: Object, create: Object, update?: Object, select?: Object}
+     * @returns {Promise<Object>} Created or updated record
+     * @example
+     * await db.users.upsert({
+     *   where: { email: "a@b.c" },
+     *   create: { name: "A", visits: 1 },
+     *   update: { visits: { increment: 1 } }
+     * });
+     */
+    async upsert({ where, create = {}, update = {}, select, ...call }) {
+      if (!where || Object.keys(where).length === 0) {
+        throw new Error("upsert() requires a 'where' on a primary key or unique index");
+      }
+      for (const [k, v] of Object.entries(where)) {
+        if (!fields.includes(k)) {
+          throw new Error(`Field "${k}" not found in schema`);
+        }
+        if (v === null || typeof v === "object") {
+          throw new Error(`upsert() 'where' only supports equality on unique fields`);
+        }
+      }
+
+      const { sql, params, row } = buildInsert(
+        tableName,
+        cfg,
+        { ...create, ...where },
+        { target: Object.keys(where), update }
+      );
+      const { baseUrls, port, auth } = insertShard(cfg, conns, row[shardKey]);
+      const res = await executeSQL(baseUrls, port, `${sql} RETURNING *;`, params, auth, withCall(call));
+      const r = res.results?.[0] || {};
+
+      if (r.values?.length > 0) {
+        const obj = {};
+        r.columns.forEach((c, i) => obj[c] = r.values[0][i]);
+        return applySelect(obj, select);
+      }
+
+      return null;
+    },
+
+    /**
+     * Inserts many records using multi-row INSERT statements
+     * Payloads larger than maxRequestSize are split into several statements,
+     * each sent as its own request; on sharded tables each shard gets its own statements
+     * @param {Object} options - {data: Object[], skipDuplicates?: boolean}
+     * @returns {Promise<Object>} {count} number of inserted rows
+     */
+    async createMany({ data, skipDuplicates = false, ...call }) {
+      const o = withCall(call);
+      let count = 0;
+      for (const st of buildInsertMany(tableName, cfg, data, { skipDuplicates, maxRequestSize: o.maxRequestSize, shardOf })) {
+        const { baseUrls, port, auth } = conns[st.shard];
+        const res = await executeSQL(baseUrls, port, st.sql, st.params, auth, o);
+        count += res.results?.[0]?.rows_affected || 0;
+      }
+      return { count };
+    },
+
+    /**
+     * Same as createMany but returns every inserted record
+     * @param {Object} options - {data: Object[], skipDuplicates?: boolean, select?: Object}
+     * @returns {Promise<Object[]>} Inserted records
+     */
+    async createManyAndReturn({ data, skipDuplicates = false, select, ...call }) {
+      const o = withCall(call);
+      const rows = [];
+      for (const st of buildInsertMany(tableName, cfg, data, { skipDuplicates, returning: true, maxRequestSize: o.maxRequestSize, shardOf })) {
+        const { baseUrls, port, auth } = conns[st.shard];
+        const res = await executeSQL(baseUrls, port, st.sql, st.params, auth, o);
+        rows.push(...resultRows(res.results?.[0]));
+      }
+      return rows.map(r => applySelect(r, select));
+    },
+
+    /**
+     * Finds multiple records matching the filter
+     * Relations declared in the schema can be loaded with `include` or by naming
+     * them in `select`, e.g. include: { orders: { where, orderBy, limit } }
+     * `cursor` switches to keyset pagination: only rows after the cursor row in `orderBy`
+     * order are returned, the cursor row itself excluded. It holds the cursor row's values
+     * of every orderBy column plus a unique column, e.g. { created_at: "...", id: 123 }
+     * On fullText tables `where: { col: { search } }`, `orderBy: { _relevance }` and
+     * `select: { col: { highlight | snippet } }` use the FTS5 index.
+     * Per-call `timeout`, `freshness` and `signal` override the client configuration.
+     * Soft-deleted rows are skipped unless `withDeleted` is set.
+     * On sharded tables a filter on the shard key reads only its shards; other reads run on
+     * every shard and are merged in `orderBy` order before `limit` and `offset` apply.
+     * @param {Object} options - {where?, select?, include?, orderBy?, cursor?, limit?, offset?, level?, withDeleted?, timeout?, freshness?, signal?}
+     * @returns {Promise<Object[]>} Array of matching records
+     */
+    async findMany({ where, select, include, orderBy, cursor, limit, offset, level, withDeleted, ...call } = {}) {
+      let { clause, params, searchQuery } = buildWhere(where, fields, "p", search);
+      clause = excludeDeleted(cfg, clause, withDeleted);
+      const includes = collectIncludes(cfg, select, include);
+      const targets = shardsFor(where);
+      const merged = targets.length > 1;
+
+      if (merged && searchQuery && orderBy && [].concat(orderBy).some(o => "_relevance" in o)) {
+        throw new Error(`Cannot order by _relevance across shards of ${tableName}; filter on the shard key "${shardKey}"`);
+      }
+
+      // Keyset pagination continues after the cursor row
+      if (cursor !== undefined) {
+        const keyset = buildCursor(cursor, orderBy, fields);
+        clause = `(${clause}) AND ${keyset.clause}`;
+        Object.assign(params, keyset.params);
+        orderBy = keyset.orderBy;
+      }
+
+      // Merged reads are re-sorted on their order columns
+      const orderCols = merged && orderBy ? [].concat(orderBy).map(o => Object.keys(o)[0]) : [];
+      const { sel, added } = buildSelectWithKeys(
+        select,
+        fields,
+        [...Object.keys(includes).map(n => cfg.relations[n].field), ...orderCols],
+        searchSelect(select, search, searchQuery, params)
+      );
+
+      let sql = `SELECT ${sel} FROM ${qTable} WHERE ${clause}`;
+
+      // Add ORDER BY if specified
+      if (orderBy) {
+        let relevance = null;
+        if (searchQuery && [].concat(orderBy).some(o => "_relevance" in o)) {
+          params.sq = searchQuery;
+          relevance = searchExpr(search, `bm25(${quote(search.fts)})`, ":sq");
+        }
+        sql += ` ORDER BY ${buildOrderBy(orderBy, "", relevance)}`;
+      }
+
+      // Validate LIMIT and OFFSET
+      for (const [k, v] of Object.entries({ limit, offset })) {
+        if (v !== undefined && (!Number.isInteger(v) || v < 0)) {
+          throw new Error(`Invalid ${k}. Must be a non-negative integer.`);
+        }
+      }
+
+      // Each shard returns enough rows to fill the merged page
+      if (merged) {
+        if (limit !== undefined) sql += ` LIMIT ${limit + (offset || 0)}`;
+      } else {
+        if (limit !== undefined) sql += ` LIMIT ${limit}`;
+        if (offset !== undefined) sql += ` OFFSET ${offset}`;
+      }
+
+      let rows = await readShards(targets, sql, params, level, call);
+
+      if (merged) {
+        if (orderBy) sortRows(rows, orderBy);
+        const start = offset || 0;
+        rows = rows.slice(start, limit !== undefined ? start + limit : undefined);
+      }
+
+      // Resolve included relations with batched follow-up queries
+      if (Object.keys(includes).length > 0) {
+        await resolveIncludes(rows, cfg, includes, schemaDef, { level, options: clientOptions, call: callOptions(call) });
+      }
+      if (added.length > 0) {
+        for (const row of rows) {
+          for (const k of added) delete row[k];
+        }
+      }
+
+      return rows;
+    },
+
+    /**
+     * Walks all matching records in batches using keyset pagination on the order columns
+     * and the primary key. Each batch continues after the values of the previous batch's
+     * last row, so rows deleted or updated meanwhile do not stop or repeat the walk.
+     * Only one batch is held in memory at a time
+     * @param {Object} [options] - {where?, select?, include?, orderBy?, batchSize?, level?, withDeleted?}
+     * @returns {AsyncGenerator<Object>} Async iterator over matching records
+     * @example
+     * for await (const user of db.users.iterate({ batchSize: 500 })) { ... }
+     */
+    async *iterate({ where, select, include, orderBy, batchSize = 1000, level, withDeleted, ...call } = {}) {
+      if (!Number.isInteger(batchSize) || batchSize <= 0) {
+        throw new Error("Invalid batchSize. Must be a positive integer.");
+      }
+
+      const pk = primaryKey(cfg);
+      if (pk.length === 0) {
+        throw new Error(`iterate() requires a primary key on table ${tableName}`);
+      }
+
+      // Ties are broken on the primary key from the first batch on, as the cursor does
+      // for later batches; shards are merged in this order too
+      const order = [].concat(orderBy || []);
+      for (const c of pk) {
+        if (!order.some(o => c in o)) order.push({ [c]: "asc" });
+      }
+
+      // The order columns are always fetched so the next batch can start after them
+      const keys = order.map(o => Object.keys(o)[0]);
+      const strip = select ? keys.filter(c => !select[c]) : [];
+      const sel = select ? { ...select, ...Object.fromEntries(keys.map(c => [c, true])) } : select;
+      let cursor;
+
+      while (true) {
+        const rows = await this.findMany({ where, select: sel, include, orderBy: order, cursor, limit: batchSize, level, withDeleted, cache: false, ...callOptions(call) });
+        if (rows.length === 0) return;
+
+        const last = rows[rows.length - 1];
+        cursor = Object.fromEntries(keys.map(c => [c, last[c]]));
+        for (const row of rows) {
+          for (const c of strip) delete row[c];
+          yield row;
+        }
+
+        if (rows.length < batchSize) return;
+      }
+    },
+
+    /**
+     * Finds a single unique record
+     * @param {Object} args - Same as findMany
+     * @returns {Promise<Object|null>} Matching record or null
+     */
+    async findUnique(args) {
+      return (await this.findMany({ ...args, limit: 1 }))[0] || null;
+    },
+
+    /**
+     * Finds the first matching record
+     * @param {Object} args - Same as findMany
+     * @returns {Promise<Object|null>} First matching record or null
+     */
+    async findFirst(args) {
+      return (await this.findMany({ ...args, limit: 1 }))[0] || null;
+    },
+
+    /**
+     * Finds a single unique record or throws
+     * @param {Object} args - Same as findMany
+     * @returns {Promise<Object>} Matching record
+     * @throws {NotFoundError} If no record matches
+     */
+    async findUniqueOrThrow(args) {
+      const row = await this.findUnique(args);
+      if (!row) throw new NotFoundError(tableName);
+      return row;
+    },
+
+    /**
+     * Finds the first matching record or throws
+     * @param {Object} args - Same as findMany
+     * @returns {Promise<Object>} First matching record
+     * @throws {NotFoundError} If no record matches
+     */
+    async findFirstOrThrow(args) {
+      const row = await this.findFirst(args);
+      if (!row) throw new NotFoundError(tableName);
+      return row;
+    },
+
+    /**
+     * Updates records matching the filter
+     * Supports update operators and `e` expressions; soft-deleted rows are left alone
+     * unless `withDeleted` is set
+     * @param {Object} options - {where: Object, data: Object, select?: Object, withDeleted?: boolean}
+     * @returns {Promise<Object|null>} Updated record or null
+     */
+    async update({ where, data, select, withDeleted, ...call }) {
+      let { clause, params } = buildWhere(where, fields, "p", search);
+      clause = excludeDeleted(cfg, clause, withDeleted);
+      const sets = buildSet(tableName, cfg, data, params);
+
+      const responses = await executeShards(
+        shardsFor(where),
+        `UPDATE ${qTable} SET ${sets.join(", ")} WHERE ${clause} RETURNING *;`,
+        params,
+        call
+      );
+
+      const r = responses.map(res => res.results?.[0] || {}).find(r => r.values?.length > 0);
+
+      if (r) {
+        const obj = {};
+        r.columns.forEach((col, i) => obj[col] = r.values[0][i]);
+
+        // Apply select filter if provided
+        return applySelect(obj, select);
+      }
+
+      return null;
+    },
+
+    /**
+     * Updates all records matching the filter
+     * @param {Object} options - {where: Object, data: Object, withDeleted?: boolean}
+     * @returns {Promise<Object>} {count} number of updated rows
+     */
+    async updateMany({ where, data, withDeleted, ...call }) {
+      let { clause, params } = buildWhere(where, fields, "p", search);
+      clause = excludeDeleted(cfg, clause, withDeleted);
+      const sets = buildSet(tableName, cfg, data, params);
+
+      const responses = await executeShards(
+        shardsFor(where),
+        `UPDATE ${qTable} SET ${sets.join(", ")} WHERE ${clause};`,
+        params,
+        call
+      );
+      return { count: affected(responses) };
+    },
+
+    /**
+     * Same as updateMany but returns every updated record
+     * @param {Object} options - {where: Object, data: Object, select?: Object, withDeleted?: boolean}
+     * @returns {Promise<Object[]>} Updated records
+     */
+    async updateManyAndReturn({ where, data, select, withDeleted, ...call }) {
+      let { clause, params } = buildWhere(where, fields, "p", search);
+      clause = excludeDeleted(cfg, clause, withDeleted);
+      const sets = buildSet(tableName, cfg, data, params);
+
+      const responses = await executeShards(
+        shardsFor(where),
+        `UPDATE ${qTable} SET ${sets.join(", ")} WHERE ${clause} RETURNING *;`,
+        params,
+        call
+      );
+      return responses.flatMap(res => resultRows(res.results?.[0])).map(r => applySelect(r, select));
+    },
+
+    /**
+     * Deletes records matching the filter
+     * On softDelete tables the rows are only stamped with the deletion time
+     * @param {Object} options - {where: Object}
+     * @returns {Promise<boolean>} True on success
+     */
+    async delete({ where, ...call }) {
+      const { sql, params } = buildDelete(tableName, cfg, where);
+      await executeShards(shardsFor(where), sql, params, call);
+      return true;
+    },
+
+    /**
+     * Deletes all records matching the filter
+     * On softDelete tables the rows are only stamped with the deletion time
+     * @param {Object} [options] - {where?: Object}
+     * @returns {Promise<Object>} {count} number of deleted rows
+     */
+    async deleteMany({ where, ...call } = {}) {
+      const { sql, params } = buildDelete(tableName, cfg, where);
+      return { count: affected(await executeShards(shardsFor(where), sql, params, call)) };
+    },
+
+    /**
+     * Restores soft-deleted records matching the filter
+     * @param {Object} [options] - {where?: Object}
+     * @returns {Promise<Object>} {count} number of restored rows
+     * @throws {Error} If the table does not use softDelete
+     */
+    async restore({ where, ...call } = {}) {
+      if (!softField) {
+        throw new Error(`restore() requires softDelete on table ${tableName}`);
+      }
+      const { clause, params } = buildWhere(where, fields, "p", search);
+      const responses = await executeShards(
+        shardsFor(where),
+        `UPDATE ${qTable} SET ${quote(softField)} = NULL WHERE (${clause}) AND ${quote(softField)} IS NOT NULL;`,
+        params,
+        call
+      );
+      return { count: affected(responses) };
+    },
+
+    /**
+     * Physically removes records matching the filter, soft-deleted or not
+     * @param {Object} [options] - {where?: Object}
+     * @returns {Promise<Object>} {count} number of removed rows
+     * @throws {Error} If the table does not use softDelete
+     */
+    async hardDelete({ where, ...call } = {}) {
+      if (!softField) {
+        throw new Error(`hardDelete() requires softDelete on table ${tableName}; use deleteMany()`);
+      }
+      const { clause, params } = buildWhere(where, fields, "p", search);
+      const responses = await executeShards(shardsFor(where), `DELETE FROM ${qTable} WHERE ${clause};`, params, call);
+      return { count: affected(responses) };
+    },
+
+    /**
+     * Counts records matching the filter
+     * On sharded tables the counts of the shards are added up
+     * @param {Object} options - {where?, level?, withDeleted?}
+     * @returns {Promise<number>} Count of matching records
+     */
+    async count({ where, level, withDeleted, ...call } = {}) {
+      let { clause, params } = buildWhere(where, fields, "p", search);
+      clause = excludeDeleted(cfg, clause, withDeleted);
+      const res = await readShards(
+        shardsFor(where),
+        `SELECT COUNT(1) AS c FROM ${qTable} WHERE ${clause};`,
+        params,
+        level,
+        call
+      );
+      return res.reduce((n, r) => n + Number(r.c || 0), 0);
+    },
+
+    /**
+     * Computes aggregates over records matching the filter
+     * On sharded tables the per-shard results are combined (averages from sums and counts)
+     * @param {Object} options - {where?, _sum?, _avg?, _min?, _max?, _count?, level?, withDeleted?}
+     * @returns {Promise<Object>} e.g. { _sum: { total: 120 }, _count: 4 }
+     * @example
+     * await db.orders.aggregate({ where: { status: "paid" }, _sum: { total: true }, _count: true });
+     */
+    async aggregate({ where, level, withDeleted, ...args } = {}) {
+      const { cols, aliases } = buildAggregates(args, fields);
+      if (cols.length === 0) {
+        throw new Error("aggregate() requires at least one of _sum, _avg, _min, _max or _count");
+      }
+
+      let { clause, params } = buildWhere(where, fields, "p", search);
+      clause = excludeDeleted(cfg, clause, withDeleted);
+      const targets = shardsFor(where);
+      const merged = targets.length !== 1;
+      if (merged) cols.push(...avgParts(aliases));
+
+      const res = await readShards(
+        targets,
+        `SELECT ${cols.join(", ")} FROM ${qTable} WHERE ${clause};`,
+        params,
+        level,
+        args
+      );
+      return shapeAggregates(merged ? combineAggregates(res, aliases) : res[0] || {}, aliases, cfg.fields);
+    },
+
+    /**
+     * Groups records by one or more columns and computes aggregates per group
+     * `having` filters groups, e.g. { total: { _sum: { gt: 100 } } }, and `orderBy`
+     * accepts group columns or aggregates, e.g. { _sum: { total: "desc" } }
+     * Across shards, groups must include the shard key so that no group spans two shards
+     * @param {Object} options - {by, where?, having?, orderBy?, limit?, offset?, _sum?, _avg?, _min?, _max?, _count?, level?, withDeleted?}
+     * @returns {Promise<Object[]>} One object per group with the group columns and aggregates
+     */
+    async groupBy({ by, where, having, orderBy, limit, offset, level, withDeleted, ...args } = {}) {
+      const byCols = Array.isArray(by) ? by : [by];
+      if (!by || byCols.length === 0) {
+        throw new Error("groupBy() requires a non-empty 'by' list");
+      }
+      for (const col of byCols) {
+        if (!fields.includes(col)) {
+          throw new Error(`Field "${col}" not found in schema`);
+        }
+      }
+
+      const targets = shardsFor(where);
+      const merged = targets.length > 1;
+      if (merged && !byCols.includes(shardKey)) {
+        throw new Error(`groupBy() across shards of ${tableName} must group by the shard key "${shardKey}" or filter on it`);
+      }
+
+      const { cols, aliases } = buildAggregates(args, fields);
+      const visible = { ...aliases };
+      let { clause, params } = buildWhere(where, fields, "p", search);
+      clause = excludeDeleted(cfg, clause, withDeleted);
+      const qBy = byCols.map(quote).join(", ");
+
+      // Having is applied as a filter over the aggregated subquery
+      let outer = "";
+      if (having && Object.keys(having).length > 0) {
+        const filter = translateHaving(having, fields, aliases, cols);
+        const h = buildWhere(filter, [...byCols, ...Object.keys(aliases)], "h");
+        Object.assign(params, h.params);
+        outer = ` WHERE ${h.clause}`;
+      }
+
+      // Order by group columns or by aggregate values
+      let orders = null;
+      if (orderBy) {
+        orders = (Array.isArray(orderBy) ? orderBy : [orderBy]).map(o => {
+          const [key, dir] = Object.entries(o)[0];
+          if (!AGGREGATE_FUNCTIONS[key]) {
+            if (!byCols.includes(key)) {
+              throw new Error(`Cannot order by "${key}": not in 'by' list`);
+            }
+            return { [key]: dir };
+          }
+
+          const [field, d] = Object.entries(dir)[0];
+          if (!fields.includes(field)) {
+            throw new Error(`Field "${field}" not found in schema`);
+          }
+          const alias = `${key}__${field}`;
+          if (!aliases[alias]) {
+            cols.push(`${AGGREGATE_FUNCTIONS[key]}(${quote(field)}) AS ${quote(alias)}`);
+            aliases[alias] = [key, field];
+          }
+          return { [alias]: d };
+        });
+        outer += ` ORDER BY ${buildOrderBy(orders)}`;
+      }
+
+      for (const [k, v] of Object.entries({ limit, offset })) {
+        if (v !== undefined && (!Number.isInteger(v) || v < 0)) {
+          throw new Error(`Invalid ${k}. Must be a non-negative integer.`);
+        }
+      }
+      if (merged) {
+        // Each shard returns enough groups to fill the merged page
+        if (limit !== undefined) outer += ` LIMIT ${limit + (offset || 0)}`;
+      } else if (limit !== undefined || offset !== undefined) {
+        // SQLite requires a LIMIT before OFFSET; -1 means no limit
+        outer += ` LIMIT ${limit ?? -1}`;
+        if (offset !== undefined) outer += ` OFFSET ${offset}`;
+      }
+
+      const sql = `SELECT * FROM (SELECT ${[qBy, ...cols].join(", ")} FROM ${qTable} WHERE ${clause} GROUP BY ${qBy})${outer};`;
+      let rows = await readShards(targets, sql, params, level, args);
+
+      if (merged) {
+        if (orders) sortRows(rows, orders);
+        const start = offset || 0;
+        rows = rows.slice(start, limit !== undefined ? start + limit : undefined);
+      }
+
+      return rows.map(row => ({
+        ...Object.fromEntries(byCols.map(c => [c, row[c]])),
+        ...shapeAggregates(row, visible, cfg.fields)
+      }));
+    },
+
+    /**
+     * Writes matching records to a writable stream as JSON Lines or CSV
+     * Records are read in batches with iterate(); the stream is left open
+     * @param {Object} stream - Node.js writable stream
+     * @param {Object} [options] - {format?: "jsonl"|"csv", where?, select?, include?, orderBy?, batchSize?, level?, withDeleted?}
+     * @returns {Promise<Object>} {count} number of exported records
+     * @example
+     * await db.users.exportTo(createWriteStream("users.csv"), { format: "csv", where: { active: true } });
+     */
+    async exportTo(stream, { format = "jsonl", select, ...args } = {}) {
+      if (typeof stream?.write !== "function") {
+        throw new Error("exportTo() requires a writable stream");
+      }
+      if (!TRANSFER_FORMATS.has(format)) {
+        throw new Error(`Invalid export format "${format}". Use "jsonl" or "csv".`);
+      }
+
+      // CSV holds the table's own columns; JSON Lines also carries included relations
+      const cols = select ? fields.filter(f => select[f]) : fields;
+      if (format === "csv") {
+        await writeChunk(stream, `${cols.map(csvField).join(",")}\n`);
+      }
+
+      let count = 0;
+      for await (const row of this.iterate({ ...args, select })) {
+        const line = format === "csv" ? cols.map(c => csvField(row[c])).join(",") : JSON.stringify(row);
+        await writeChunk(stream, `${line}\n`);
+        count++;
+      }
+      return { count };
+    },
+
+    /**
+     * Inserts records read from a JSON Lines or CSV stream
+     * Records are validated like createMany and inserted chunkSize at a time; each chunk
+     * is committed as one transaction (one per shard on sharded tables), split further
+     * when it would exceed maxRequestSize. Chunks committed before an invalid record stay committed.
+     * @param {Object} stream - Readable stream or any async iterable of chunks
+     * @param {Object} [options] - {format?: "jsonl"|"csv", chunkSize?: number, onConflict?: string|Object}
+     * @returns {Promise<Object>} {count} number of inserted or updated rows
+     * @throws {ValidationError} If a record does not match the schema (fields read record[n].column)
+     */
+    async importFrom(stream, { format = "jsonl", chunkSize = 500, onConflict, ...call } = {}) {
+      if (!stream || typeof stream[Symbol.asyncIterator] !== "function") {
+        throw new Error("importFrom() requires a readable stream");
+      }
+      if (!TRANSFER_FORMATS.has(format)) {
+        throw new Error(`Invalid import format "${format}". Use "jsonl" or "csv".`);
+      }
+      if (!Number.isInteger(chunkSize) || chunkSize <= 0) {
+        throw new Error("Invalid chunkSize. Must be a positive integer.");
+      }
+
+      const o = withCall(call);
+      const { maxRequestSize } = mergeOptions(CONFIG, o);
+      let rows = [];
+      let start = 0;
+      let count = 0;
+
+      const flush = async () => {
+        let statements;
+        try {
+          statements = buildInsertMany(tableName, cfg, rows, { onConflict, maxRequestSize, shardOf });
+        } catch (e) {
+          if (!(e instanceof ValidationError)) throw e;
+          throw new ValidationError(tableName, e.errors.map(err => ({
+            ...err,
+            field: err.field.replace(/^data\[(\d+)\]/, (m, i) => `record[${start + Number(i)}]`)
+          })));
+        }
+
+        for (const [shard, { baseUrls, port, auth }] of conns.entries()) {
+          const own = statements.filter(st => st.shard === shard);
+          for (const payload of transactionGroups(own, maxRequestSize)) {
+            const res = await executeBatch(baseUrls, port, payload, auth, o);
+            for (const r of res.results || []) count += r.rows_affected || 0;
+          }
+        }
+        start += rows.length;
+        rows = [];
+      };
+
+      for await (const record of format === "csv" ? csvRecords(stream) : jsonlRecords(stream)) {
+        rows.push(record);
+        if (rows.length >= chunkSize) await flush();
+      }
+      if (rows.length > 0) await flush();
+
+      return { count };
+    },
+
+    // Raw SQL on this table's cluster, or on all of its shards
+    ...rawSQL(conns.length === 1 ? conns[0] : conns, tableName)
+  };
+}
+
+// ============================================================================
+// BATCH BUILDER
+// ============================================================================
+
+/**
+ * Creates a batch builder for executing multiple operations atomically
+ * Groups operations by server for efficient transaction execution. Operations on a
+ * sharded table go to the shard of their key, or to every shard their filter does not
+ * rule out; each server commits its own transaction.
+ * @param {Object} schemaDef - Complete schema definition
+ * @param {Object} [clientOptions] - Configuration overrides of the client
+ * @param {Function[]} [middlewares] - Middleware registered with $use
+ * @param {Object} [queryCache] - Cache from createQueryCache, invalidated for every table written
+ * @returns {Object} Batch builder with table-specific methods and execute()
+ */
+function createBatchBuilder(schemaDef, clientOptions = {}, middlewares = [], queryCache = null) {
+  const operations = [];
+  const tables = {};
+
+  const builder = {
+    /**
+     * Executes all queued batch operations
+     * Each operation first runs through middleware and table hooks (with
+     * params.batch set), which may rewrite its args; the resulting statements are
+     * then grouped by server and run as transactions. After hooks receive the
+     * rqlite result of their statement.
+     * @param {Object} [options] - Per-call overrides {timeout?, signal?}
+     * @returns {Promise<Object>} Results grouped by server key
+     * @throws {ValidationError} If the data of a queued operation is invalid
+     */
+    async execute(options = {}) {
+      // Take the queue so the builder can be reused while this batch runs
+      const ops = operations.splice(0);
+      const statements = new Array(ops.length);
+
+      // Chains wait for the transaction to finish before their after hooks run
+      let settle;
+      const done = new Promise((resolve, reject) => { settle = { resolve, reject }; });
+      done.catch(() => {});
+
+      const queued = ops.map(() => {
+        let resolve;
+        const promise = new Promise(r => { resolve = r; });
+        return { promise, resolve };
+      });
+
+      const chains = ops.map((op, i) => runOperation(
+        middlewares,
+        tables[op.table].cfg,
+        { table: op.table, action: op.action, args: op.args, batch: true },
+        async (args) => {
+          statements[i] = tables[op.table].build[op.action](args);
+          queued[i].resolve();
+          return (await done)[i];
+        }
+      ));
+
+      const abort = async (e) => {
+        settle.reject(e);
+        await Promise.allSettled(chains);
+        throw e;
+      };
+
+      // Every operation must queue its statement (or be skipped by middleware) first
+      try {
+        await Promise.all(chains.map((chain, i) => Promise.race([queued[i].promise, chain])));
+      } catch (e) {
+        return abort(e);
+      }
+
+      // Group operations by server (port + baseUrls combination)
+      const groups = {};
+
+      statements.forEach((st, i) => {
+        if (!st) return;
+        for (const conn of st.conns) {
+          const key = `${conn.port}|${JSON.stringify(conn.baseUrls)}`;
+          if (!groups[key]) {
+            groups[key] = { ...conn, ops: [], index: [], tables: [] };
+          }
+          groups[key].ops.push([st.sql, st.params]);
+          groups[key].index.push(i);
+          if (!groups[key].tables.includes(ops[i].table)) groups[key].tables.push(ops[i].table);
+        }
+      });
+
+      const results = {};
+      const perOp = new Array(ops.length);
+
+      try {
+        // Execute each group as a transaction
+        for (const [key, g] of Object.entries(groups)) {
+          results[key] = await executeBatch(
+            g.baseUrls,
+            g.port,
+            g.ops,
+            g.auth,
+            mergeOptions(g.options, callOptions(options), { operation: { table: g.tables.join(","), action: "batch" } })
+          );
+          g.index.forEach((opIndex, j) => {
+            const r = results[key].results?.[j];
+            // Operations run on several shards report their combined row count
+            perOp[opIndex] = perOp[opIndex] && r
+              ? { ...perOp[opIndex], rows_affected: (perOp[opIndex].rows_affected || 0) + (r.rows_affected || 0) }
+              : r;
+          });
+        }
+      } catch (e) {
+        return abort(e);
+      } finally {
+        if (queryCache) {
+          await queryCache.invalidate([...new Set(ops.filter((op, i) => statements[i]).map(op => op.table))]);
+        }
+      }
+
+      settle.resolve(perOp);
+      const final = await Promise.all(chains);
+
+      // After hooks and middleware may have replaced per-statement results
+      for (const [key, g] of Object.entries(groups)) {
+        g.index.forEach((opIndex, j) => {
+          if (results[key].results) results[key].results[j] = final[opIndex];
+        });
+      }
+
+      return results;
+    }
+  };
+
+  // Add table-specific batch methods
+  for (const [tName, cfg] of Object.entries(schemaDef)) {
+    const fields = Object.keys(cfg.fields);
+    const qTable = quote(tName);
+
+    const conns = tableShards(cfg, clientOptions);
+
+    // Statements are built at execute() time, after hooks had a chance to change the args
+    tables[tName] = {
+      cfg,
+      build: {
+        create({ data, onConflict }) {
+          const { sql, params, row } = buildInsert(tName, cfg, data, onConflict);
+          return { sql: `${sql};`, params, conns: [insertShard(cfg, conns, row[cfg.config.shardKey])] };
+        },
+        update({ where, data, withDeleted }) {
+          const { clause, params } = buildWhere(where, fields, "p", searchTarget(tName, cfg));
+          const sets = buildSet(tName, cfg, data, params);
+          return {
+            sql: `UPDATE ${qTable} SET ${sets.join(", ")} WHERE ${excludeDeleted(cfg, clause, withDeleted)};`,
+            params,
+            conns: filterShards(cfg, conns, where)
+          };
+        },
+        delete({ where }) {
+          return { ...buildDelete(tName, cfg, where), conns: filterShards(cfg, conns, where) };
+        }
+      }
+    };
+
+    builder[tName] = {
+      /**
+       * Queues a create operation
+       * @param {Object} options - {data: Object, onConflict?: string|Object}
+       * @returns {Object} The batch builder for chaining
+       */
+      create(args) {
+        operations.push({ table: tName, action: "create", args });
+        return builder;
+      },
+
+      /**
+       * Queues an update operation
+       * @param {Object} options - {where: Object, data: Object}
+       * @returns {Object} The batch builder for chaining
+       */
+      update(args) {
+        operations.push({ table: tName, action: "update", args });
+        return builder;
+      },
+
+      /**
+       * Queues a delete operation
+       * @param {Object} options - {where: Object}
+       * @returns {Object} The batch builder for chaining
+       */
+      delete(args) {
+        operations.push({ table: tName, action: "delete", args });
+        return builder;
+      }
+    };
+  }
+
+  return builder;
+}
+
+// ============================================================================
+// BACKUP, EXPORT AND IMPORT
+// ============================================================================
+
+/**
+ * Formats accepted by exportTo/importFrom
+ */
+const TRANSFER_FORMATS = new Set(["jsonl", "csv"]);
+
+/**
+ * Header every SQLite database file starts with
+ */
+const SQLITE_HEADER = "SQLite format 3\0";
+
+/**
+ * Sends a non-JSON request (/db/backup, /db/load) to the leader with failover
+ * The timeout covers the wait for the response headers, not the transfer of the
+ * body. Reads move on to the next node after any failure; writes only when the
+ * request was never sent or the node was not the leader, and only if the body
+ * can be produced again. Errors of prepare() or of the body it returns are the
+ * caller's and are thrown as they are, without counting against the node.
+ * @param {string[]} baseUrls - rqlite base URLs
+ * @param {number} port - rqlite HTTP port
+ * @param {string} path - API endpoint path including query string
+ * @param {Object} init - {method, idempotent, prepare?: () => Promise<{body, headers}>}; prepare
+ * is called once per attempt so a body can be re-opened for the next node
+ * @param {Object|null} auth - Optional authentication credentials
+ * @param {Object} [options] - Overrides of the global configuration, plus an optional AbortSignal
+ * @returns {Promise<Response>} Successful fetch response; its body is not consumed
+ * @throws {AuthError} If the credentials are rejected
+ * @throws {NodeUnreachableError} If no node could serve the request
+ */
+async function rqliteTransfer(baseUrls, port, path, init, auth, options = {}) {
+  const o = mergeOptions(CONFIG, options);
+  if (o.signal?.aborted) {
+    throw new RqlinkError("Request aborted", { cause: o.signal.reason });
+  }
+
+  const cluster = clusterState(baseUrls, port);
+  const queue = await routeNodes(cluster, path, auth, o);
+  const failures = [];
+  let unknown = false;
+  let stopped = null;
+
+  for (let i = 0; i < queue.length; i++) {
+    const baseUrl = queue[i];
+
+    // Enforce TLS if requireTLS is enabled (for PHI/EMR compliance)
+    if (o.requireTLS && !baseUrl.startsWith("https://")) {
+      throw new RqlinkError(`Insecure connection blocked: ${baseUrl}. requireTLS is enabled.`, { node: baseUrl });
+    }
+
+    let prepared;
+    try {
+      prepared = init.prepare ? await init.prepare() : {};
+    } catch (e) {
+      if (failures.length === 0) throw e;
+      stopped = e.message;
+      break;
+    }
+
+    // Read errors of the body surface as fetch errors; remember them to tell them apart
+    let sourceError;
+    const body = prepared.body && (async function* () {
+      try {
+        yield* prepared.body;
+      } catch (e) {
+        sourceError = e;
+        throw e;
+      }
+    })();
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), o.timeout);
+    const signal = o.signal ? AbortSignal.any([controller.signal, o.signal]) : controller.signal;
+
+    try {
+      const res = await fetch(`${baseUrl}:${port}${path}`, {
+        method: init.method,
+        headers: { ...requestHeaders(auth), ...prepared.headers },
+        body,
+        duplex: body ? "half" : undefined,
+        signal,
+        redirect: "manual"
+      });
+      clearTimeout(timeoutId);
+
+      // A follower redirecting to the leader: try the leader next
+      if (res.status >= 300 && res.status < 400) {
+        const hinted = matchNode(cluster, res.headers?.get("location"));
+        if (hinted && queue.indexOf(hinted) > i) {
+          cluster.leader = hinted;
+          queue.splice(queue.indexOf(hinted), 1);
+          queue.splice(i + 1, 0, hinted);
+        }
+        throw new RqlinkError(`not leader (HTTP ${res.status})`, { node: baseUrl, status: res.status });
+      }
+      if (res.status === 401 || res.status === 403) {
+        throw new AuthError(`rqlite rejected credentials (HTTP ${res.status})`, { node: baseUrl, status: res.status });
+      }
+      if (!res.ok) {
+        const text = await res.text().catch(() => "");
+        throw new RqlinkError(`HTTP ${res.status}${text ? `: ${text.trim()}` : ""}`, { node: baseUrl, status: res.status });
+      }
+
+      cluster.nodes.get(baseUrl).failures = 0;
+      return res;
+    } catch (e) {
+      clearTimeout(timeoutId);
+
+      if (o.signal?.aborted) {
+        throw new RqlinkError("Request aborted", { node: baseUrl, cause: o.signal.reason });
+      }
+      if (sourceError) throw sourceError;
+      if (isDeterministic(e)) throw e;
+
+      const timedOut = e?.name === "AbortError";
+      failures.push({ node: baseUrl, message: timedOut ? `timed out after ${o.timeout}ms` : e.message, error: e });
+      if (!(e instanceof RqlinkError)) {
+        recordFailure(cluster, baseUrl, auth, o);
+      }
+
+      // A load that may have been applied must not be sent again
+      if (!init.idempotent && outcomeUnknown(e)) {
+        unknown = true;
+        break;
+      }
+    }
+  }
+
+  const last = failures[failures.length - 1];
+  const error = new NodeUnreachableError(
+    `rqlite ${path.split("?")[0]} failed after ${failures.length} attempts: ${last?.message}${unknown ? "; the load may have been applied" : ""}${stopped ? `; not retried: ${stopped}` : ""}`,
+    { node: last?.node, cause: last?.error, attempts: failures.length, errors: failures.map(({ node, message }) => ({ node, message })) }
+  );
+  error.outcomeUnknown = unknown;
+  throw error;
+}
+
+/**
+ * Resolves the cluster a client-level backup or restore runs against
+ * @param {Object} schemaDef - Complete schema definition
+ * @param {Object} clientOptions - Configuration overrides of the client
+ * @param {string|undefined} table - Table whose cluster to use
+ * @param {number|undefined} shard - Shard index, required for sharded tables
+ * @param {string} method - Calling method, for error messages
+ * @returns {Object} Connection from tableConnection
+ * @throws {Error} If the table or shard is unknown, or omitted while the schema spans several clusters
+ */
+function transferConnection(schemaDef, clientOptions, table, shard, method) {
+  if (table !== undefined) {
+    if (!schemaDef[table]) {
+      throw new Error(`Table "${table}" not found in schema`);
+    }
+    const conns = tableShards(schemaDef[table], clientOptions);
+    if (shard === undefined && conns.length === 1) return conns[0];
+    if (!Number.isInteger(shard) || !conns[shard]) {
+      throw new Error(`Table ${table} has ${conns.length} shard(s); pass { shard } from 0 to ${conns.length - 1} to ${method}()`);
+    }
+    return conns[shard];
+  }
+
+  const conns = Object.values(schemaDef).flatMap(cfg => tableShards(cfg, clientOptions));
+  if (conns.length === 0 || conns.some(c => c.key !== conns[0].key)) {
+    throw new Error(`Schema tables live on several clusters; pass { table } to ${method}() to choose one`);
+  }
+  return conns[0];
+}
+
+/**
+ * Writes a chunk to a Node.js writable stream, waiting for it to drain when full
+ * @param {Object} stream - Writable stream
+ * @param {string|Uint8Array} chunk - Data to write
+ * @returns {Promise<void>}
+ */
+async function writeChunk(stream, chunk) {
+  if (!stream.write(chunk)) {
+    await new Promise((resolve, reject) => {
+      const done = (err) => {
+        stream.off("drain", done);
+        stream.off("error", done);
+        err ? reject(err) : resolve();
+      };
+      stream.on("drain", done);
+      stream.on("error", done);
+    });
+  }
+}
+
+/**
+ * Streams a cluster's database from /db/backup to a file or writable stream
+ * @param {Object} conn - Connection from tableConnection
+ * @param {Object} opts - {to, format?: "sqlite"|"sql", compress?: boolean, timeout?, signal?}
+ * @returns {Promise<Object>} {bytes} number of bytes written
+ * @throws {Error} If `to` or `format` is invalid
+ */
+async function backupCluster(conn, { to, format = "sqlite", compress = false, ...call }) {
+  if (format !== "sqlite" && format !== "sql") {
+    throw new Error(`Invalid backup format "${format}". Use "sqlite" or "sql".`);
+  }
+  if (typeof to !== "string" && typeof to?.write !== "function") {
+    throw new Error("backup() requires a 'to' file path or writable stream");
+  }
+
+  const query = [format === "sql" ? "fmt=sql" : "", compress ? "compress" : ""].filter(Boolean).join("&");
+  const res = await rqliteTransfer(
+    conn.baseUrls,
+    conn.port,
+    `/db/backup${query ? `?${query}` : ""}`,
+    { method: "GET", idempotent: true },
+    conn.auth,
+    mergeOptions(conn.options, callOptions(call))
+  );
+
+  // Files are created here and closed when done; caller streams are left open
+  let out = to;
+  if (typeof to === "string") {
+    const { createWriteStream } = await import("node:fs");
+    out = createWriteStream(to);
+    try {
+      await new Promise((resolve, reject) => {
+        out.once("open", resolve);
+        out.once("error", reject);
+      });
+    } catch (e) {
+      await res.body?.cancel().catch(() => {});
+      throw e;
+    }
+  }
+
+  // A write error may be emitted between chunks; keep it instead of crashing the process
+  let failed = null;
+  const onError = (e) => { failed ??= e; };
+  out.on("error", onError);
+
+  let bytes = 0;
+  try {
+    for await (const chunk of res.body || []) {
+      if (failed) break;
+      bytes += chunk.length;
+      await writeChunk(out, chunk);
+    }
+    if (failed) throw failed;
+  } finally {
+    if (out !== to) {
+      if (failed) {
+        out.destroy();
+      } else {
+        await new Promise((resolve, reject) => out.end(err => err ? reject(err) : resolve()));
+      }
+    }
+    out.off("error", onError);
+  }
+
+  return { bytes };
+}
+
+/**
+ * Prepares the /db/load body of a backup
+ * gzip-compressed backups are decompressed on the fly; unless given, the format is
+ * detected from the SQLite file header (anything else is sent as an SQL dump)
+ * @param {Object} stream - Async iterable of byte chunks
+ * @param {string|undefined} format - "sqlite", "sql" or undefined to detect
+ * @returns {Promise<Object>} {body, headers}
+ */
+async function loadBody(stream, format) {
+  let iter = stream[Symbol.asyncIterator]();
+  let first = await iter.next();
+
+  if (!first.done && first.value[0] === 0x1f && first.value[1] === 0x8b) {
+    const { Readable } = await import("node:stream");
+    const { createGunzip } = await import("node:zlib");
+    const compressed = iter;
+    const head = first.value;
+    const gunzip = Readable.from((async function* () {
+      yield head;
+      for (let r = await compressed.next(); !r.done; r = await compressed.next()) yield r.value;
+    })()).pipe(createGunzip());
+    iter = gunzip[Symbol.asyncIterator]();
+    first = await iter.next();
+  }
+
+  const header = first.done ? "" : Buffer.from(first.value).subarray(0, SQLITE_HEADER.length).toString("latin1");
+  const kind = format || (header === SQLITE_HEADER ? "sqlite" : "sql");
+  const body = (async function* () {
+    if (!first.done) yield first.value;
+    for (let r = await iter.next(); !r.done; r = await iter.next()) yield r.value;
+  })();
+
+  return {
+    body,
+    headers: { "Content-Type": kind === "sqlite" ? "application/octet-stream" : "text/plain" }
+  };
+}
+
+/**
+ * Loads a backup into a cluster through /db/load, replacing its database
+ * @param {Object} conn - Connection from tableConnection
+ * @param {string|Uint8Array|Object} source - File path, Buffer or readable stream
+ * @param {Object} [opts] - {format?: "sqlite"|"sql", timeout?, signal?}
+ * @returns {Promise<Object>} rqlite response
+ * @throws {Error} If the source or format is invalid
+ * @throws {SQLError} If rqlite rejects the dump
+ */
+async function restoreCluster(conn, source, { format, ...call } = {}) {
+  if (format !== undefined && format !== "sqlite" && format !== "sql") {
+    throw new Error(`Invalid restore format "${format}". Use "sqlite" or "sql".`);
+  }
+
+  // Paths and buffers can be sent again to another node, streams only once
+  let open;
+  if (typeof source === "string") {
+    const { createReadStream } = await import("node:fs");
+    const { stat } = await import("node:fs/promises");
+    if (!(await stat(source)).isFile()) {
+      throw new Error(`restore() source ${source} is not a file`);
+    }
+    open = () => createReadStream(source);
+  } else if (source instanceof Uint8Array) {
+    open = () => (async function* () { yield source; })();
+  } else if (source && typeof source[Symbol.asyncIterator] === "function") {
+    let used = false;
+    open = () => {
+      if (used) throw new RqlinkError("The restore stream was already sent and cannot be sent again");
+      used = true;
+      return source;
+    };
+  } else {
+    throw new Error("restore() requires a file path, a Buffer or a readable stream");
+  }
+
+  const res = await rqliteTransfer(
+    conn.baseUrls,
+    conn.port,
+    "/db/load",
+    { method: "POST", idempotent: false, prepare: () => loadBody(open(), format) },
+    conn.auth,
+    mergeOptions(conn.options, callOptions(call))
+  );
+
+  const json = await res.json().catch(() => ({}));
+  if (json.error) {
+    throw sqlErrorFrom(json.error, {});
+  }
+  for (const r of json.results || []) {
+    if (r.error) throw sqlErrorFrom(r.error, {});
+  }
+  return json;
+}
+
+/**
+ * Formats one value as a CSV field
+ * NULL is written as an empty field and the empty string as "" so imports can tell
+ * them apart; fields with separators, quotes or surrounding spaces are quoted
+ * @param {*} v - Column value
+ * @returns {string} CSV field
+ */
+function csvField(v) {
+  if (v === null || v === undefined) return "";
+  const s = typeof v === "object" ? JSON.stringify(v) : String(v);
+  return s === "" || /[",\r\n]|^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Decodes a stream of byte or string chunks into text chunks
+ * @param {Object} stream - Async iterable of Uint8Array or string chunks
+ * @returns {AsyncGenerator<string>} Text chunks
+ */
+async function* textChunks(stream) {
+  const decoder = new TextDecoder();
+  for await (const chunk of stream) {
+    yield typeof chunk === "string" ? chunk : decoder.decode(chunk, { stream: true });
+  }
+  const tail = decoder.decode();
+  if (tail) yield tail;
+}
+
+/**
+ * Parses JSON Lines into records, skipping blank lines
+ * @param {Object} stream - Async iterable of byte or string chunks
+ * @returns {AsyncGenerator<Object>} One object per line
+ * @throws {Error} If a line is not a JSON object
+ */
+async function* jsonlRecords(stream) {
+  let buffer = "";
+  let line = 0;
+
+  const parse = (text) => {
+    line++;
+    if (text.trim() === "") return null;
+    let rec;
+    try {
+      rec = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Invalid JSON on line ${line}: ${e.message}`);
+    }
+    if (!isPlainObject(rec)) {
+      throw new Error(`Line ${line} is not a JSON object`);
+    }
+    return rec;
+  };
+
+  for await (const text of textChunks(stream)) {
+    buffer += text;
+    let nl;
+    while ((nl = buffer.indexOf("\n")) !== -1) {
+      const rec = parse(buffer.slice(0, nl));
+      buffer = buffer.slice(nl + 1);
+      if (rec) yield rec;
+    }
+  }
+
+  const rec = parse(buffer);
+  if (rec) yield rec;
+}
+
+/**
+ * Parses RFC 4180 CSV into records keyed by the header row
+ * Quoted fields may span chunks and lines; an empty unquoted field is NULL
+ * @param {Object} stream - Async iterable of byte or string chunks
+ * @returns {AsyncGenerator<Object>} One object per data row
+ * @throws {Error} If a row has more fields than the header
+ */
+async function* csvRecords(stream) {
+  let header = null;
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let inQuotes = false;
+  let quoteSeen = false;
+  let line = 1;
+
+  const endField = () => {
+    row.push(quoted || field !== "" ? field : null);
+    field = "";
+    quoted = false;
+  };
+
+  const endRow = () => {
+    endField();
+    const values = row;
+    row = [];
+    line++;
+
+    // Blank lines are skipped
+    if (values.length === 1 && values[0] === null) return null;
+    if (!header) {
+      header = values.map(v => v ?? "");
+      return null;
+    }
+    if (values.length > header.length) {
+      throw new Error(`CSV line ${line - 1} has ${values.length} fields, the header has ${header.length}`);
+    }
+    return Object.fromEntries(values.map((v, i) => [header[i], v]));
+  };
+
+  for await (const text of textChunks(stream)) {
+    for (const c of text) {
+      if (inQuotes) {
+        if (quoteSeen) {
+          quoteSeen = false;
+          if (c === '"') {
+            field += '"';
+            continue;
+          }
+          inQuotes = false;
+        } else if (c === '"') {
+          quoteSeen = true;
+          continue;
+        } else {
+          field += c;
+          continue;
+        }
+      }
+
+      if (c === '"' && field === "" && !quoted) {
+        inQuotes = true;
+        quoted = true;
+      } else if (c === ",") {
+        endField();
+      } else if (c === "\n") {
+        const rec = endRow();
+        if (rec) yield rec;
+      } else if (c !== "\r") {
+        field += c;
+      }
+    }
+  }
+
+  if (inQuotes && !quoteSeen) {
+    throw new Error(`Unterminated quoted CSV field on line ${line}`);
+  }
+  if (field !== "" || quoted || row.length > 0) {
+    const rec = endRow();
+    if (rec) yield rec;
+  }
+}
+
+/**
+ * Groups statements into transactions whose JSON payload stays under maxRequestSize
+ * A statement larger than the limit on its own is sent alone (and rejected by rqliteRequest)
+ * @param {Object[]} statements - {sql, params} statements
+ * @param {number} maxRequestSize - Maximum payload size in bytes
+ * @returns {Array[]} Request payloads of [sql, params] pairs
+ */
+function transactionGroups(statements, maxRequestSize) {
+  const groups = [];
+  let group = [];
+  let size = 2;
+
+  for (const st of statements) {
+    const pair = [st.sql, st.params];
+    const len = JSON.stringify(pair).length;
+    if (group.length > 0 && size + 1 + len > maxRequestSize) {
+      groups.push(group);
+      group = [];
+      size = 2;
+    }
+    size += (group.length > 0 ? 1 : 0) + len;
+    group.push(pair);
+  }
+  if (group.length > 0) groups.push(group);
+
+  return groups;
+}
+
+// ============================================================================
+// SCHEMA DDL HELPERS
+// ============================================================================
+
+/**
+ * Renders a schema default value as SQL
+ * @param {string|number|boolean|undefined} val - Default value from the schema
+ * @returns {string|null} SQL default expression or null when there is none
+ */
+function defaultSQL(val) {
+  if (typeof val === "string") {
+    // Check if it's a SQL keyword (like CURRENT_TIMESTAMP)
+    if (/^[A-Z_]+$/.test(val)) {
+      return val;
+    }
+    // Escape string literals properly
+    return `'${val.replace(/'/g, "''")}'`;
+  }
+  if (typeof val === "number" || typeof val === "boolean") {
+    return `${val}`;
+  }
+  return null;
+}
+
+/**
+ * Generates SQL column definition for CREATE TABLE or ALTER TABLE
+ * @param {string} name - Column name
+ * @param {Object} def - Column definition from schema
+ * @param {boolean} [inlinePk=true] - Declare `pk` on the column (false for composite keys)
+ * @returns {string} SQL column definition
+ */
+function columnDefSQL(name, def, inlinePk = true) {
+  const parts = [quote(name), def.type.toUpperCase()];
+
+  if (def.pk && inlinePk) parts.push("PRIMARY KEY");
+  if (def.autoIncrement) parts.push("AUTOINCREMENT");
+  if (def.notNull) parts.push("NOT NULL");
+
+  // Handle default values with safety checks
+  const dflt = defaultSQL(def.default);
+  if (dflt !== null) {
+    parts.push(`DEFAULT ${dflt}`);
+  }
+
+  return parts.join(" ");
+}
+
+/**
+ * Generates the CREATE TABLE statement for a table
+ * A composite primary key is declared as a table constraint after the columns
+ * @param {string} tName - Table name (as created, may differ from the schema key during rebuilds)
+ * @param {Object} cfg - Table configuration
+ * @returns {string} SQL CREATE TABLE statement
+ */
+function createTableSQL(tName, cfg) {
+  const pk = primaryKey(cfg);
+  const colDefs = Object.entries(cfg.fields).map(([c, d]) => columnDefSQL(c, d, pk.length === 1));
+  if (pk.length > 1) colDefs.push(`PRIMARY KEY (${pk.map(quote).join(", ")})`);
+  return `CREATE TABLE IF NOT EXISTS ${quote(tName)} (${colDefs.join(", ")});`;
+}
+
+/**
+ * Lists the indexes declared for a table with their resolved names
+ * @param {string} tName - Table name
+ * @param {Object} cfg - Table configuration
+ * @returns {Object[]} Array of {name, columns, unique, sql}
+ */
+function declaredIndexes(tName, cfg) {
+  return (cfg.indexes || []).map(idx => {
+    const name = idx.name || `idx_${tName}_${idx.columns.join("_")}`;
+    return {
+      name,
+      columns: idx.columns,
+      unique: !!idx.unique,
+      sql: `CREATE ${idx.unique ? "UNIQUE " : ""}INDEX IF NOT EXISTS ${quote(name)} ON ${quote(tName)} (${idx.columns.map(quote).join(", ")});`
+    };
+  });
+}
+
+// ============================================================================
+// MIGRATIONS
+// ============================================================================
+
+/**
+ * Table recording applied migrations on every cluster
+ */
+const MIGRATIONS_TABLE = "_rqlink_migrations";
+
+/**
+ * Prefix of the temporary table used by copy-rebuild-rename migrations
+ */
+const REBUILD_PREFIX = "_rqlink_new_";
+
+/**
+ * Computes a short, stable checksum (FNV-1a) of a string
+ * @param {string} str - Input string
+ * @returns {string} 8-character hex checksum
+ */
+function checksum(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h.toString(16).padStart(8, "0");
+}
+
+/**
+ * Checks whether a live column (PRAGMA table_info row) differs from its declaration
+ * Types are compared by affinity, so VARCHAR(255) matches TEXT and DOUBLE matches REAL;
+ * defaults are compared by value, so 1.0 matches 1
+ * @param {Object} info - PRAGMA table_info row
+ * @param {Object} def - Column definition from schema
+ * @returns {string[]} Human readable list of differences (empty when equal)
+ */
+function columnChanges(info, def) {
+  const changes = [];
+
+  if (typeAffinity(info.type) !== def.type.toUpperCase()) {
+    changes.push(`type ${info.type || "none"} -> ${def.type.toUpperCase()}`);
+  }
+  if (!!info.notnull !== !!def.notNull) {
+    changes.push(def.notNull ? "set NOT NULL" : "drop NOT NULL");
+  }
+  if ((info.pk > 0) !== !!def.pk) {
+    changes.push(def.pk ? "set PRIMARY KEY" : "drop PRIMARY KEY");
+  }
+
+  const dflt = defaultSQL(def.default);
+  const live = info.dflt_value ?? null;
+  if (live !== dflt) {
+    const parsed = parseDefault(live);
+    if (parsed.unsupported || parsed.value !== (dflt === null ? undefined : def.default)) {
+      changes.push(`default ${live ?? "none"} -> ${dflt ?? "none"}`);
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Constraints of a live CREATE TABLE statement that are not generated from the schema
+ */
+const UNMANAGED_CONSTRAINTS = [
+  ["REFERENCES", /\bREFERENCES\b/gi],
+  ["CHECK", /\bCHECK\s*\(/gi],
+  ["COLLATE", /\bCOLLATE\b/gi],
+  ["ON CONFLICT", /\bON\s+CONFLICT\b/gi],
+  ["generated column", /\bAS\s*\(/gi],
+  ["table PRIMARY KEY", /\bPRIMARY\s+KEY\s*\(/gi],
+  ["WITHOUT ROWID", /\bWITHOUT\s+ROWID\b/gi],
+  ["STRICT", /\)\s*(?:WITHOUT\s+ROWID\s*,\s*)?STRICT\b/gi]
+];
+
+/**
+ * Lists the constraints a copy-rebuild of the table would silently drop
+ * The live CREATE TABLE statement is compared with the one generated from the schema
+ * (string literals and quoted names left out), every UNIQUE constraint must be
+ * backed by a declared unique index and every default expression must be kept
+ * @param {string} liveSQL - CREATE TABLE statement from sqlite_master
+ * @param {Object[]} columns - PRAGMA table_info rows of the kept columns, by their schema name
+ * @param {string} tName - Table name
+ * @param {Object} cfg - Table configuration
+ * @param {Function} query - Runs a PRAGMA on the table's cluster
+ * @returns {Promise<string[]>} Descriptions of the constraints that would be lost
+ */
+async function lostConstraints(liveSQL, columns, tName, cfg, query) {
+  const strip = (sql) => sql.replace(/'(?:[^']|'')*'|"(?:[^"]|"")*"|`[^`]*`|\[[^\]]*\]/g, "''");
+  const live = strip(liveSQL || "");
+  const generated = strip(createTableSQL(tName, cfg));
+  const count = (sql, re) => (sql.match(re) || []).length;
+
+  const lost = UNMANAGED_CONSTRAINTS
+    .filter(([, re]) => count(live, re) > count(generated, re))
+    .map(([name]) => name);
+
+  // Expression defaults such as (datetime('now')) have no schema equivalent
+  for (const col of columns) {
+    if (parseDefault(col.dflt_value).unsupported && col.dflt_value !== defaultSQL(cfg.fields[col.name].default)) {
+      lost.push(`DEFAULT ${col.dflt_value} of ${col.name}`);
+    }
+  }
+
+  const declared = declaredIndexes(tName, cfg).filter(i => i.unique).map(i => i.columns.join(","));
+  for (const idx of await query(`PRAGMA index_list(${quote(tName)})`)) {
+    if (idx.origin !== "u") continue;
+    const cols = (await query(`PRAGMA index_info(${quote(idx.name)})`))
+      .sort((a, b) => a.seqno - b.seqno)
+      .map(c => c.name);
+    if (!declared.includes(cols.join(","))) lost.push(`UNIQUE (${cols.join(", ")})`);
+  }
+
+  return lost;
+}
+
+/**
+ * Checks whether SQLite can add a column with ALTER TABLE ADD COLUMN
+ * Primary keys, NOT NULL without a default and non-constant defaults need a rebuild
+ * @param {Object} def - Column definition from schema
+ * @returns {boolean} True if ADD COLUMN is supported for this definition
+ */
+function canAddColumn(def) {
+  if (def.pk) return false;
+  if (def.notNull && defaultSQL(def.default) === null) return false;
+  if (typeof def.default === "string" && /^CURRENT_(TIME|DATE|TIMESTAMP)$/.test(def.default)) return false;
+  return true;
+}
+
+/**
+ * Generates the copy-rebuild-rename statements for changes SQLite cannot ALTER
+ * Creates the new table, copies the kept columns, drops the old table and renames
+ * @param {string} tName - Table name
+ * @param {Object} cfg - Table configuration
+ * @param {string[]} kept - Columns present both in the live table and in the schema
+ * @returns {string[]} SQL statements (indexes must be recreated afterwards)
+ */
+function rebuildTableSQL(tName, cfg, kept) {
+  const tmp = `${REBUILD_PREFIX}${tName}`;
+  const cols = kept.map(quote).join(", ");
+
+  // Fill NULLs with the declared default when a column becomes NOT NULL
+  const exprs = kept.map(c => {
+    const def = cfg.fields[c];
+    const dflt = defaultSQL(def.default);
+    return def.notNull && dflt !== null ? `COALESCE(${quote(c)}, ${dflt})` : quote(c);
+  }).join(", ");
+
+  return [
+    `DROP TABLE IF EXISTS ${quote(tmp)};`,
+    createTableSQL(tmp, cfg),
+    ...(kept.length > 0 ? [`INSERT INTO ${quote(tmp)} (${cols}) SELECT ${exprs} FROM ${quote(tName)};`] : []),
+    `DROP TABLE ${quote(tName)};`,
+    `ALTER TABLE ${quote(tmp)} RENAME TO ${quote(tName)};`
+  ];
+}
+
+/**
+ * Diffs the declared indexes against PRAGMA index_list/index_info
+ * Only indexes created with CREATE INDEX (origin "c") are managed
+ * @param {string} tName - Table name
+ * @param {Object} cfg - Table configuration
+ * @param {Function} query - Runs a PRAGMA on the table's cluster
+ * @returns {Promise<Object[]>} Migration steps
+ */
+async function planIndexes(tName, cfg, query) {
+  const steps = [];
+  const declared = new Map(declaredIndexes(tName, cfg).map(i => [i.name, i]));
+  const all = await query(`PRAGMA index_list(${quote(tName)})`);
+  const live = all.filter(i => i.origin === "c");
+  const liveNames = new Set(live.map(i => i.name));
+
+  // UNIQUE and PRIMARY KEY constraints already enforce a declared unique index on their columns
+  const constraints = new Set();
+  for (const idx of all.filter(i => i.origin !== "c" && i.unique)) {
+    const cols = (await query(`PRAGMA index_info(${quote(idx.name)})`)).sort((a, b) => a.seqno - b.seqno);
+    constraints.add(cols.map(c => c.name).join(","));
+  }
+
+  for (const idx of live) {
+    const want = declared.get(idx.name);
+    let drop = !want;
+
+    if (want) {
+      const cols = (await query(`PRAGMA index_info(${quote(idx.name)})`))
+        .sort((a, b) => a.seqno - b.seqno)
+        .map(c => c.name);
+      drop = !!idx.unique !== want.unique || cols.join(",") !== want.columns.join(",");
+    }
+
+    if (drop) {
+      steps.push({
+        table: tName,
+        action: "dropIndex",
+        description: `Drop index ${idx.name}`,
+        sql: [`DROP INDEX IF EXISTS ${quote(idx.name)};`]
+      });
+      liveNames.delete(idx.name);
+    }
+  }
+
+  for (const idx of declared.values()) {
+    if (!liveNames.has(idx.name) && !(idx.unique && constraints.has(idx.columns.join(",")))) {
+      steps.push({ table: tName, action: "createIndex", description: `Create index ${idx.name}`, sql: [idx.sql] });
+    }
+  }
+
+  return steps;
+}
+
+/**
+ * Diffs the fullText index of a table against sqlite_master
+ * The FTS5 table is recreated when its definition changed, and the sync triggers
+ * are recreated (followed by a full reindex) whenever they are missing, e.g. after
+ * the content table was rebuilt
+ * @param {string} tName - Table name
+ * @param {Object} cfg - Table configuration
+ * @param {Function} query - Runs a query on the table's cluster
+ * @param {boolean} rebuilt - Whether an earlier step drops and recreates the table
+ * @returns {Promise<Object[]>} Migration steps
+ */
+async function planSearchIndex(tName, cfg, query, rebuilt) {
+  const fts = `${tName}_fts`;
+  const triggerNames = ["ai", "ad", "au"].map(k => `${fts}_${k}`);
+  const live = await query(
+    `SELECT name, sql FROM sqlite_master WHERE name IN (:fts, :ai, :ad, :au);`,
+    { fts, ai: triggerNames[0], ad: triggerNames[1], au: triggerNames[2] }
+  );
+  const liveTable = live.find(r => r.name === fts);
+  const dropTriggers = triggerNames.map(n => `DROP TRIGGER IF EXISTS ${quote(n)};`);
+
+  if (!cfg.fullText) {
+    if (live.length === 0) return [];
+    return [{
+      table: tName,
+      action: "dropSearchIndex",
+      description: `Drop full-text index ${fts}`,
+      sql: [...dropTriggers, `DROP TABLE IF EXISTS ${quote(fts)};`]
+    }];
+  }
+
+  const ddl = searchIndexSQL(tName, cfg);
+  // sqlite_master keeps the statement without IF NOT EXISTS
+  const sameTable = liveTable && liveTable.sql === ddl.table.replace(" IF NOT EXISTS", "").replace(/;$/, "");
+  const triggersOk = !rebuilt && triggerNames.every(n => live.some(r => r.name === n));
+
+  if (sameTable && triggersOk) return [];
+
+  return [{
+    table: tName,
+    action: liveTable ? "rebuildSearchIndex" : "createSearchIndex",
+    description: `${liveTable ? "Rebuild" : "Create"} full-text index ${fts}`,
+    sql: [
+      ...dropTriggers,
+      ...(liveTable && !sameTable ? [`DROP TABLE IF EXISTS ${quote(fts)};`] : []),
+      ddl.table,
+      ...ddl.triggers,
+      `INSERT INTO ${quote(fts)}(${quote(fts)}) VALUES ('rebuild');`
+    ]
+  }];
+}
+
+/**
+ * Diffs one declared table against the live database and produces ordered steps
+ * Supported: create table, rename column (via `renamedFrom`), add column, index
+ * and fullText index changes, and copy-rebuild-rename for type affinity/NOT NULL/default/
+ * primary key changes and dropped columns. A rebuild that drops columns or live
+ * constraints the schema cannot express (REFERENCES, CHECK, ...) is marked destructive.
+ * @param {string} tName - Table name
+ * @param {Object} cfg - Table configuration
+ * @param {Object} conn - Connection of the cluster (or shard) to diff, from tableShards
+ * @returns {Promise<Object[]>} Migration steps {table, action, description, sql, destructive?}
+ */
+async function planTableMigration(tName, cfg, conn) {
+  const { baseUrls, port, auth, options } = conn;
+  const query = (sql, params = {}) => querySQL(baseUrls, port, sql, params, auth, "strong", options);
+  const qt = quote(tName);
+  const steps = [];
+
+  const info = await query(`PRAGMA table_info(${qt})`);
+  setCachedSchema(`${tName}|${port}`, info);
+
+  // New table - create it together with its indexes
+  if (info.length === 0) {
+    steps.push({ table: tName, action: "createTable", description: `Create table ${tName}`, sql: [createTableSQL(tName, cfg)] });
+    for (const idx of declaredIndexes(tName, cfg)) {
+      steps.push({ table: tName, action: "createIndex", description: `Create index ${idx.name}`, sql: [idx.sql] });
+    }
+    steps.push(...await planSearchIndex(tName, cfg, query, true));
+    return steps;
+  }
+
+  const current = new Map(info.map(r => [r.name, r]));
+
+  // Explicit renames keep the column data
+  for (const [col, def] of Object.entries(cfg.fields)) {
+    if (def.renamedFrom && !current.has(col) && current.has(def.renamedFrom)) {
+      steps.push({
+        table: tName,
+        action: "renameColumn",
+        description: `Rename column ${tName}.${def.renamedFrom} to ${col}`,
+        sql: [`ALTER TABLE ${qt} RENAME COLUMN ${quote(def.renamedFrom)} TO ${quote(col)};`]
+      });
+      current.set(col, { ...current.get(def.renamedFrom), name: col });
+      current.delete(def.renamedFrom);
+    }
+  }
+
+  const added = Object.keys(cfg.fields).filter(c => !current.has(c));
+  const dropped = [...current.keys()].filter(c => !cfg.fields[c]);
+  const changed = Object.keys(cfg.fields)
+    .filter(c => current.has(c))
+    .map(c => [c, columnChanges(current.get(c), cfg.fields[c])])
+    .filter(([, ch]) => ch.length > 0);
+
+  const needsRebuild = dropped.length > 0 || changed.length > 0 ||
+    added.some(c => !canAddColumn(cfg.fields[c]));
+
+  if (!needsRebuild) {
+    for (const c of added) {
+      steps.push({
+        table: tName,
+        action: "addColumn",
+        description: `Add column ${tName}.${c}`,
+        sql: [`ALTER TABLE ${qt} ADD COLUMN ${columnDefSQL(c, cfg.fields[c])};`]
+      });
+    }
+    steps.push(...await planIndexes(tName, cfg, query));
+    steps.push(...await planSearchIndex(tName, cfg, query, false));
+    return steps;
+  }
+
+  // SQLite cannot alter these in place - copy into a new table and swap it in;
+  // constraints the schema cannot express would be lost, so they count as data loss
+  const [{ sql: liveSQL } = {}] = await query(
+    `SELECT sql FROM sqlite_master WHERE type = 'table' AND name = :name;`,
+    { name: tName }
+  );
+  const kept = [...current.values()].filter(c => cfg.fields[c.name]);
+  const lost = await lostConstraints(liveSQL, kept, tName, cfg, query);
+  const reasons = [
+    ...added.map(c => `add ${c}`),
+    ...dropped.map(c => `drop ${c}`),
+    ...changed.map(([c, ch]) => `${c}: ${ch.join(", ")}`),
+    ...(lost.length > 0 ? [`loses ${lost.join(", ")}`] : [])
+  ];
+  steps.push({
+    table: tName,
+    action: "rebuildTable",
+    description: `Rebuild table ${tName} (${reasons.join("; ")})`,
+    destructive: dropped.length > 0 || lost.length > 0,
+    sql: rebuildTableSQL(tName, cfg, [...current.keys()].filter(c => cfg.fields[c]))
+  });
+
+  // Dropping the old table removed its indexes and triggers
+  for (const idx of declaredIndexes(tName, cfg)) {
+    steps.push({ table: tName, action: "createIndex", description: `Create index ${idx.name}`, sql: [idx.sql] });
+  }
+  steps.push(...await planSearchIndex(tName, cfg, query, true));
+
+  return steps;
+}
+
+/**
+ * Formats a migration plan for printing
+ * @param {Object[]} plan - Migration steps
+ * @returns {string} Readable plan
+ */
+function formatPlan(plan) {
+  if (plan.length === 0) {
+    return "[rqlink] Schema is up to date - no migration needed.";
+  }
+
+  const lines = [`[rqlink] Migration plan (${plan.length} step${plan.length === 1 ? "" : "s"}):`];
+  plan.forEach((step, i) => {
+    lines.push(`  ${i + 1}. ${step.description}${step.destructive ? " [DATA LOSS]" : ""}`);
+    for (const sql of step.sql) lines.push(`       ${sql}`);
+  });
+  return lines.join("\n");
+}
+
+// ============================================================================
+// DATABASE INITIALIZATION
+// ============================================================================
+
+/**
+ * Initializes database schema by diffing it against the live tables and applying
+ * the resulting migration plan. Each table's steps run in one transaction and are
+ * recorded in the _rqlink_migrations table of its cluster.
+ * @param {Object} schemaDef - Complete schema definition
+ * @param {Object} [opts] - {verbose?, dryRun?, allowDataLoss?}; verbose only applies to this run
+ * @param {Object} [clientOptions] - Configuration overrides of the client
+ * @returns {Promise<boolean|Object[]>} True on success, or the plan when dryRun is set
+ * @throws {Error} If the plan drops columns and allowDataLoss is not set
+ */
+async function initDBSchema(schemaDef, { verbose = false, dryRun = false, allowDataLoss = false } = {}, clientOptions = {}) {
+  const runOptions = verbose ? mergeOptions(clientOptions, { verbose: true }) : clientOptions;
+
+  // Validate entire schema before making any changes
+  validateSchema(schemaDef);
+
+  const plan = [];
+  for (const [tName, cfg] of Object.entries(schemaDef)) {
+    // Every shard of a table is migrated on its own; its steps carry the shard index
+    for (const [shard, conn] of tableShards(cfg, runOptions).entries()) {
+      const steps = await planTableMigration(tName, cfg, conn);
+      plan.push(...(cfg.config.shards
+        ? steps.map(st => ({ ...st, shard, description: `${st.description} (shard ${shard})` }))
+        : steps));
+    }
+  }
+
+  if (dryRun) {
+    console.log(formatPlan(plan));
+    return plan;
+  }
+
+  const destructive = plan.filter(s => s.destructive);
+  if (destructive.length > 0 && !allowDataLoss) {
+    throw new Error(
+      `Migration would drop data or constraints: ${destructive.map(s => s.description).join("; ")}. ` +
+      `Run initDB({ dryRun: true }) to review and initDB({ allowDataLoss: true }) to apply.`
+    );
+  }
+
+  if ((runOptions.verbose ?? CONFIG.verbose) && plan.length > 0) {
+    console.log(formatPlan(plan));
+  }
+
+  const historyReady = new Set();
+  const version = new Date().toISOString().replace(/\D/g, "").slice(0, 14);
+
+  for (const [tName, cfg] of Object.entries(schemaDef)) {
+    for (const [shard, conn] of tableShards(cfg, runOptions).entries()) {
+      const steps = plan.filter(s => s.table === tName && (s.shard === undefined || s.shard === shard));
+      if (steps.length === 0) continue;
+
+      const { baseUrls, port, auth, key, options } = conn;
+
+      // Create the history table once per cluster
+      if (!historyReady.has(key)) {
+        await executeSQL(
+          baseUrls,
+          port,
+          `CREATE TABLE IF NOT EXISTS ${quote(MIGRATIONS_TABLE)} (` +
+          `"id" INTEGER PRIMARY KEY AUTOINCREMENT, "version" TEXT NOT NULL, "table_name" TEXT NOT NULL, ` +
+          `"description" TEXT, "statements" TEXT, "checksum" TEXT, "applied_at" TEXT DEFAULT CURRENT_TIMESTAMP);`,
+          {},
+          auth,
+          options
+        );
+        historyReady.add(key);
+      }
+
+      const statements = steps.flatMap(s => s.sql);
+      const record = {
+        version: `${version}_${tName}`,
+        table_name: tName,
+        description: steps.map(s => s.description).join("; "),
+        statements: JSON.stringify(statements),
+        checksum: checksum(statements.join("\n"))
+      };
+
+      // Apply all steps of the table (or shard) and record them atomically
+      await executeBatch(
+        baseUrls,
+        port,
+        [
+          ...statements.map(sql => [sql, {}]),
+          [
+            `INSERT INTO ${quote(MIGRATIONS_TABLE)} ("version", "table_name", "description", "statements", "checksum") VALUES (:version, :table_name, :description, :statements, :checksum);`,
+            record
+          ]
+        ],
+        auth,
+        mergeOptions(options, { operation: { table: tName, action: "migrate" } })
+      );
+
+      // Invalidate cache after schema change
+      invalidateCache(`${tName}|${port}`);
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Reads the applied migration history from every cluster of the schema
+ * @param {Object} schemaDef - Complete schema definition
+ * @param {Object} [clientOptions] - Configuration overrides of the client
+ * @returns {Promise<Object[]>} Migration records ordered by version
+ */
+async function readMigrationHistory(schemaDef, clientOptions = {}) {
+  const seen = new Set();
+  const rows = [];
+
+  const conns = Object.values(schemaDef).flatMap(cfg => tableShards(cfg, clientOptions));
+
+  for (const { baseUrls, port, auth, key, options } of conns) {
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const exists = await querySQL(
+      baseUrls,
+      port,
+      `SELECT name FROM sqlite_master WHERE type = 'table' AND name = :name;`,
+      { name: MIGRATIONS_TABLE },
+      auth,
+      "strong",
+      options
+    );
+    if (exists.length === 0) continue;
+
+    rows.push(...await querySQL(
+      baseUrls,
+      port,
+      `SELECT * FROM ${quote(MIGRATIONS_TABLE)} ORDER BY "id";`,
+      {},
+      auth,
+      "strong",
+      options
+    ));
+  }
+
+  return rows.sort((a, b) => (a.version < b.version ? -1 : a.version > b.version ? 1 : 0));
+}
+
+// ============================================================================
+// SCHEMA INTROSPECTION
+// ============================================================================
+
+/**
+ * Maps a declared SQLite column type to one of SQLITE_TYPES using SQLite's
+ * type affinity rules (e.g. VARCHAR(255) -> TEXT, BIGINT -> INTEGER)
+ * @param {string} declared - Declared column type
+ * @returns {string} One of INTEGER, TEXT, REAL, BLOB, NUMERIC
+ */
+function typeAffinity(declared) {
+  const t = (declared || "").toUpperCase();
+  if (t.includes("INT")) return "INTEGER";
+  if (t.includes("CHAR") || t.includes("CLOB") || t.includes("TEXT")) return "TEXT";
+  if (t === "" || t.includes("BLOB")) return "BLOB";
+  if (t.includes("REAL") || t.includes("FLOA") || t.includes("DOUB")) return "REAL";
+  return "NUMERIC";
+}
+
+/**
+ * Converts a PRAGMA table_info default (SQL text) into a schema default value
+ * @param {string|null} sql - dflt_value column of PRAGMA table_info
+ * @returns {Object} {value} on success, {value: undefined, unsupported: true} if not representable
+ */
+function parseDefault(sql) {
+  if (sql === null || sql === undefined || /^NULL$/i.test(sql)) return { value: undefined };
+
+  let value;
+  if (/^'(?:[^']|'')*'$/s.test(sql)) {
+    value = sql.slice(1, -1).replace(/''/g, "'");
+    // The schema writes bare uppercase words as keywords, not as string literals
+    if (/^[A-Z_]+$/.test(value)) return { value: undefined, unsupported: true };
+  } else if (/^[+-]?\d+(\.\d+)?$/.test(sql)) {
+    value = Number(sql);
+  } else if (/^(TRUE|FALSE)$/i.test(sql)) {
+    value = sql.toLowerCase() === "true";
+  } else if (/^[A-Z_]+$/.test(sql)) {
+    value = sql;
+  } else {
+    return { value: undefined, unsupported: true };
+  }
+
+  return { value };
+}
+
+/**
+ * Serializes a value as a JavaScript object literal for generated files
+ * @param {*} value - Value to serialize
+ * @param {string} [indent=""] - Current indentation
+ * @returns {string} JavaScript source
+ */
+function toJSLiteral(value, indent = "") {
+  if (Array.isArray(value)) {
+    if (value.every(v => v === null || typeof v !== "object")) {
+      return `[${value.map(v => toJSLiteral(v)).join(", ")}]`;
+    }
+    const inner = indent + "  ";
+    return `[\n${value.map(v => inner + toJSLiteral(v, inner)).join(",\n")}\n${indent}]`;
+  }
+  if (value && typeof value === "object") {
+    // Raw expressions (e.g. process.env lookups) are emitted as-is
+    if (value.$raw) return value.$raw;
+
+    const entries = Object.entries(value).filter(([, v]) => v !== undefined);
+    if (entries.length === 0) return "{}";
+
+    const inner = indent + "  ";
+    const key = k => (/^[A-Za-z_$][\w$]*$/.test(k) ? k : JSON.stringify(k));
+    const flat = entries.every(([, v]) => v === null || typeof v !== "object" || Array.isArray(v));
+    if (flat && entries.length <= 6) {
+      return `{ ${entries.map(([k, v]) => `${key(k)}: ${toJSLiteral(v)}`).join(", ")} }`;
+    }
+    return `{\n${entries.map(([k, v]) => `${inner}${key(k)}: ${toJSLiteral(v, inner)}`).join(",\n")}\n${indent}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Reads the tables of an existing rqlite database and builds a schema definition
+ * in the format accepted by createClient/validateSchema. Column types outside
+ * SQLITE_TYPES are mapped by SQLite affinity and reported as warnings; foreign keys
+ * become manyToOne relations with a oneToMany counterpart on the referenced table.
+ * @param {Object} options - {base, port, username?, password?, out?}
+ * @param {string[]|string} options.base - rqlite base URL(s)
+ * @param {number} options.port - rqlite HTTP port
+ * @param {string} [options.out] - Write a schema.js module to this path
+ * @returns {Promise<Object>} {schema, warnings, source} where source is the schema.js text
+ * @example
+ * const { schema, warnings } = await pullSchema({ base: ["http://localhost"], port: 4001 });
+ */
+export async function pullSchema({ base, port, username, password, out } = {}) {
+  const bases = Array.isArray(base) ? base : [base];
+  if (!port || typeof port !== "number") {
+    throw new Error("pullSchema() requires a numeric port");
+  }
+  if (bases.length === 0 || !bases[0]) {
+    throw new Error("pullSchema() requires at least one base URL");
+  }
+
+  const baseUrls = sortBaseUrls(bases);
+  const auth = (username && password) ? { username, password } : null;
+  const query = (sql, params = {}) => querySQL(baseUrls, port, sql, params, auth, "strong");
+
+  const config = { port, base: bases };
+  if (auth) Object.assign(config, { username, password });
+
+  const schema = {};
+  const warnings = [];
+  const foreignKeys = [];
+
+  const tables = await query(
+    `SELECT name, sql FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name NOT LIKE '\\_rqlink\\_%' ESCAPE '\\' ORDER BY name;`
+  );
+
+  // FTS5 tables named <table>_fts with content='<table>' map back to a fullText option
+  const searchIndexes = new Map();
+  const shadowTables = new Set();
+  for (const { name, sql } of tables) {
+    const m = /^\s*CREATE\s+VIRTUAL\s+TABLE\s+\S+\s+USING\s+fts5\s*\((.*)\)\s*$/is.exec(sql || "");
+    if (!m) continue;
+    for (const suffix of ["data", "idx", "content", "docsize", "config"]) shadowTables.add(`${name}_${suffix}`);
+
+    const args = m[1].split(",").map(a => a.trim());
+    const opts = Object.fromEntries(args.filter(a => a.includes("=")).map(a => {
+      const [k, v] = a.split("=").map(x => x.trim());
+      return [k, v.replace(/^'(.*)'$/, "$1")];
+    }));
+    if (opts.content && name === `${opts.content}_fts`) {
+      const fields = args.filter(a => !a.includes("=")).map(a => a.replace(/^"(.*)"$/, "$1"));
+      searchIndexes.set(opts.content, { fields, ...(opts.tokenize ? { tokenize: opts.tokenize } : {}) });
+    }
+  }
+
+  for (const { name: t, sql } of tables) {
+    if (shadowTables.has(t)) continue;
+    if (!VALID_NAME.test(t)) {
+      warnings.push(`Skipped table "${t}": name is not a valid identifier`);
+      continue;
+    }
+    if (/^\s*CREATE\s+VIRTUAL/i.test(sql || "")) {
+      if (![...searchIndexes.keys()].some(c => t === `${c}_fts`)) {
+        warnings.push(`Skipped virtual table ${t}`);
+      }
+      continue;
+    }
 
-    /**
-     * Updates records matching the filter
-     * Supports increment and math operations
-     * @param {Object} options - {where: Object, data: Object, select?: Object}
-     * @returns {Promise<Object|null>} Updated record or null
-     */
-    async update({ where, data, select }) {
-      const { clause, params } = buildWhere(where, fields);
-      const sets = [];
-      let mIdx = 0;
-
-      for (const [c, val] of Object.entries(data)) {
-        const qCol = quote(c);
-
-        if (val && typeof val === "object") {
-          // Handle increment operation
-          if (val.increment !== undefined) {
-            params[`d_${c}`] = val.increment;
-            sets.push(`${qCol} = ${qCol} + :d_${c}`);
-          }
-          // Handle math expression
-          else if (val.math !== undefined) {
-            // Validate math expression for safety
-            if (!validateMathExpression(val.math)) {
-              throw new Error("Unsafe math expression detected. Operation blocked.");
-            }
+    const info = await query(`PRAGMA table_info(${quote(t)})`);
+    const pkCols = info.filter(c => c.pk > 0);
+    const fields = {};
 
-            let expr = val.math;
+    // The schema declares a composite key in column order, so other orders cannot be kept
+    const pkInOrder = pkCols.every((c, i) => c.pk === i + 1);
 
-            // Replace argument placeholders with unique param names
-            if (val.args) {
-              for (const [ak, av] of Object.entries(val.args)) {
-                const pName = `m_${c}_${mIdx++}`;
-                expr = expr.replace(new RegExp(`:${ak}\\b`, 'g'), `:${pName}`);
-                params[pName] = av;
-              }
-            }
+    for (const col of info) {
+      if (!VALID_NAME.test(col.name)) {
+        warnings.push(`Skipped column ${t}."${col.name}": name is not a valid identifier`);
+        continue;
+      }
 
-            sets.push(`${qCol} = ${expr}`);
-          }
-        } else {
-          // Simple value assignment
-          params[`d_${c}`] = val;
-          sets.push(`${qCol} = :d_${c}`);
-        }
+      const declared = (col.type || "").toUpperCase();
+      const type = SQLITE_TYPES.has(declared) ? declared : typeAffinity(declared);
+      if (type !== declared) {
+        warnings.push(`${t}.${col.name}: type "${col.type || "(none)"}" is not one of ${[...SQLITE_TYPES].join(", ")}; mapped to ${type}`);
       }
 
-      const res = await executeSQL(
-        baseUrls,
-        port,
-        `UPDATE ${qTable} SET ${sets.join(", ")} WHERE ${clause} RETURNING *;`,
-        params,
-        auth
-      );
+      const def = { type };
+      if (col.pk > 0 && pkInOrder) {
+        def.pk = true;
+        if (type === "INTEGER" && pkCols.length === 1 && /AUTOINCREMENT/i.test(sql || "")) def.autoIncrement = true;
+      }
+      if (col.notnull) def.notNull = true;
 
-      const r = res.results?.[0] || {};
+      const dflt = parseDefault(col.dflt_value);
+      if (dflt.unsupported) {
+        warnings.push(`${t}.${col.name}: default ${col.dflt_value} cannot be expressed in the schema and was omitted`);
+      } else if (dflt.value !== undefined) {
+        def.default = dflt.value;
+      }
 
-      if (r.values?.length > 0) {
-        const obj = {};
-        r.columns.forEach((col, i) => obj[col] = r.values[0][i]);
+      fields[col.name] = def;
+    }
 
-        // Apply select filter if provided
-        return select
-          ? Object.fromEntries(Object.keys(select).filter(k => select[k]).map(k => [k, obj[k]]))
-          : obj;
-      }
+    const indexes = [];
 
-      return null;
-    },
+    // Composite primary keys in another order than the columns are kept as a unique index
+    if (!pkInOrder) {
+      const columns = pkCols.sort((a, b) => a.pk - b.pk).map(c => c.name);
+      indexes.push({ columns, unique: true });
+      warnings.push(`${t}: composite primary key (${columns.join(", ")}) is not in column order; represented as a unique index`);
+    }
 
-    /**
-     * Deletes records matching the filter
-     * @param {Object} options - {where: Object}
-     * @returns {Promise<boolean>} True on success
-     */
-    async delete({ where }) {
-      const { clause, params } = buildWhere(where, fields);
-      await executeSQL(baseUrls, port, `DELETE FROM ${qTable} WHERE ${clause};`, params, auth);
-      return true;
-    },
+    for (const idx of await query(`PRAGMA index_list(${quote(t)})`)) {
+      if (idx.origin === "pk" || idx.partial) {
+        if (idx.partial) warnings.push(`${t}: partial index ${idx.name} skipped`);
+        continue;
+      }
+      const cols = (await query(`PRAGMA index_info(${quote(idx.name)})`))
+        .sort((a, b) => a.seqno - b.seqno)
+        .map(c => c.name);
+      if (cols.some(c => !c || !fields[c])) {
+        warnings.push(`${t}: expression index ${idx.name} skipped`);
+        continue;
+      }
 
-    /**
-     * Counts records matching the filter
-     * @param {Object} options - {where?, level?}
-     * @returns {Promise<number>} Count of matching records
-     */
-    async count({ where, level } = {}) {
-      const { clause, params } = buildWhere(where, fields);
-      const res = await querySQL(
-        baseUrls,
-        port,
-        `SELECT COUNT(1) AS c FROM ${qTable} WHERE ${clause};`,
-        params,
-        auth,
-        level
-      );
-      return Number(res[0]?.c || 0);
+      // Indexes backing UNIQUE constraints keep SQLite's generated name out of the schema
+      const entry = idx.origin === "c" ? { name: idx.name, columns: cols } : { columns: cols };
+      if (idx.unique) entry.unique = true;
+      indexes.push(entry);
+    }
+
+    for (const fk of await query(`PRAGMA foreign_key_list(${quote(t)})`)) {
+      foreignKeys.push({ table: t, from: fk.from, model: fk.table, to: fk.to });
     }
+
+    schema[t] = { config: { ...config }, fields };
+    if (indexes.length > 0) schema[t].indexes = indexes;
+    if (searchIndexes.has(t)) schema[t].fullText = searchIndexes.get(t);
+  }
+
+  // Foreign keys become relations on both sides
+  const addRelation = (t, preferred, rel) => {
+    const cfg = schema[t];
+    cfg.relations = cfg.relations || {};
+    let name = preferred;
+    if (cfg.fields[name] || cfg.relations[name]) name = `${preferred}_rel`;
+    if (cfg.fields[name] || cfg.relations[name]) return;
+    cfg.relations[name] = rel;
   };
+
+  for (const fk of foreignKeys) {
+    const target = schema[fk.model];
+    // A missing "to" column means the referenced table's primary key
+    const to = fk.to || (target && Object.keys(target.fields).find(c => target.fields[c].pk));
+    if (!target || !schema[fk.table].fields[fk.from] || !to || !target.fields[to]) {
+      warnings.push(`${fk.table}.${fk.from}: foreign key to ${fk.model}(${fk.to || "?"}) could not be mapped to a relation`);
+      continue;
+    }
+
+    addRelation(fk.table, fk.from.replace(/_id$/i, "") || fk.model, {
+      type: "manyToOne", model: fk.model, field: fk.from, references: to
+    });
+    addRelation(fk.model, fk.table, {
+      type: "oneToMany", model: fk.table, field: to, references: fk.from
+    });
+  }
+
+  validateSchema(schema);
+
+  // Credentials are read from the environment in generated files
+  const fileSchema = Object.fromEntries(Object.entries(schema).map(([t, cfg]) => [t, {
+    ...cfg,
+    config: auth
+      ? { ...cfg.config, username: { $raw: "process.env.RQLITE_USERNAME" }, password: { $raw: "process.env.RQLITE_PASSWORD" } }
+      : cfg.config
+  }]));
+
+  const source = [
+    `// Generated by rqlink pullSchema from ${baseUrls[0]}:${port}`,
+    ...warnings.map(w => `// WARNING: ${w}`),
+    "",
+    `export const schema = ${toJSLiteral(fileSchema)};`,
+    ""
+  ].join("\n");
+
+  if (out) {
+    const { writeFile } = await import("node:fs/promises");
+    await writeFile(out, source, "utf8");
+  }
+
+  return { schema, warnings, source };
 }
 
 // ============================================================================
-// BATCH BUILDER
+// TYPE GENERATION
 // ============================================================================
 
 /**
- * Creates a batch builder for executing multiple operations atomically
- * Groups operations by server for efficient transaction execution
- * @param {Object} schemaDef - Complete schema definition
- * @returns {Object} Batch builder with table-specific methods and execute()
+ * TypeScript types for each SQLite column type
  */
-function createBatchBuilder(schemaDef) {
-  const operations = [];
+const TS_TYPES = {
+  INTEGER: "number",
+  REAL: "number",
+  NUMERIC: "number",
+  TEXT: "string",
+  BLOB: "Buffer"
+};
 
-  const builder = {
-    /**
-     * Executes all queued batch operations
-     * Groups operations by server and runs as transactions
-     * @returns {Promise<Object>} Results grouped by server key
-     */
-    async execute() {
-      // Group operations by server (port + baseUrls combination)
-      const groups = {};
+/**
+ * Filter input type used for each TypeScript column type
+ */
+const TS_FILTERS = {
+  number: "NumberFilter",
+  string: "StringFilter",
+  Buffer: "BlobFilter"
+};
 
-      for (const op of operations) {
-        const key = `${op.port}|${JSON.stringify(op.baseUrls)}`;
-        if (!groups[key]) {
-          groups[key] = { ...op, ops: [] };
-        }
-        groups[key].ops.push([op.sql, op.params]);
-      }
+/**
+ * Helper types shared by every generated declaration file
+ */
+const TS_PRELUDE = `export type SortOrder = "asc" | "desc" | "ASC" | "DESC";
+export type ConsistencyLevel = "strong" | "none";
+
+export interface RetryPolicy {
+  maxAttempts?: number;
+  baseDelay?: number;
+  maxDelay?: number;
+  jitter?: "full" | "equal" | "none";
+  retryOn?: (error: Error, info: { attempt: number; node: string; idempotent: boolean }) => boolean;
+  onRetry?: (info: { attempt: number; delay: number; error: Error; node: string; nextNode: string }) => void;
+}
 
-      const results = {};
+/** Per-call overrides of the client configuration */
+export interface RequestOptions {
+  timeout?: number;
+  freshness?: string;
+  freshness_strict?: boolean;
+  signal?: AbortSignal;
+  retry?: RetryPolicy;
+  idempotent?: boolean;
+}
 
-      try {
-        // Execute each group as a transaction
-        for (const [key, g] of Object.entries(groups)) {
-          results[key] = await rqliteRequest(
-            g.baseUrls,
-            g.port,
-            "/db/execute?transaction&named_parameters",
-            g.ops,
-            g.auth
-          );
-        }
-        return results;
-      } finally {
-        // Always clear operations after execution to prevent memory leaks
-        operations.length = 0;
-      }
-    }
+/** Query cache setting of a read: cache the result for ttl milliseconds, or bypass the cache */
+export type CacheOption = false | { ttl: number };
+
+/** Query cache store passed as the \`cacheStore\` client option */
+export interface CacheStore {
+  get(key: string): unknown | Promise<unknown>;
+  set(key: string, value: unknown, options: { ttl: number; tables: string[] }): void | Promise<void>;
+  invalidate(tables: string[]): void | Promise<void>;
+}
+
+/** Fields of an instrumentation event; durationMs and serverTimeMs are in milliseconds */
+export interface InstrumentationEvent {
+  table?: string | null;
+  action?: string;
+  sql?: string;
+  params?: Record<string, unknown> | unknown[];
+  path?: string;
+  statements?: number;
+  node?: string;
+  url?: string;
+  attempts?: number;
+  status?: number;
+  serverTimeMs?: number;
+  rows?: number;
+  rowsAffected?: number;
+  durationMs: number;
+  error?: Error;
+}
+
+/** Span methods used by the instrumentation, a subset of the OpenTelemetry Span */
+export interface SpanLike {
+  setAttributes(attributes: Record<string, string | number | boolean>): unknown;
+  recordException(error: Error): unknown;
+  setStatus(status: { code: number; message?: string }): unknown;
+  end(): void;
+}
+
+/** The \`instrumentation\` configuration option */
+export interface Instrumentation {
+  tracer?: {
+    startSpan(name: string, options?: { kind?: number; attributes?: Record<string, unknown> }): SpanLike;
+    startActiveSpan?<T>(name: string, options: { kind?: number; attributes?: Record<string, unknown> }, fn: (span: SpanLike) => T): T;
   };
+  events?: { emit(event: "request" | "query" | "execute" | "batch", data: InstrumentationEvent): unknown };
+  includeParams?: boolean;
+}
 
-  // Add table-specific batch methods
-  for (const [tName, cfg] of Object.entries(schemaDef)) {
-    const baseUrls = sortBaseUrls(cfg.config.base);
-    const { port, username, password } = cfg.config;
-    const auth = (username && password) ? { username, password } : null;
-    const fields = Object.keys(cfg.fields);
-    const qTable = quote(tName);
+export interface NumberFilter {
+  equals?: number | null;
+  not?: number | null;
+  gt?: number;
+  gte?: number;
+  lt?: number;
+  lte?: number;
+  between?: [number, number];
+  in?: number[];
+  notIn?: number[];
+  isNull?: boolean;
+  isNotNull?: boolean;
+}
 
-    builder[tName] = {
-      /**
-       * Queues a create operation
-       * @param {Object} options - {data: Object}
-       * @returns {Object} The batch builder for chaining
-       */
-      create({ data }) {
-        const cols = Object.keys(data);
-        const sql = `INSERT INTO ${qTable} (${cols.map(quote).join(", ")}) VALUES (${cols.map(c => `:${c}`).join(", ")});`;
-        operations.push({ baseUrls, port, sql, params: data, auth });
-        return builder;
-      },
+/** Select options of a fullText column: FTS5 highlight() or snippet() of the search */
+export interface TextHighlight {
+  highlight?: boolean | { open?: string; close?: string };
+  snippet?: boolean | { open?: string; close?: string; ellipsis?: string; tokens?: number };
+}
 
-      /**
-       * Queues an update operation
-       * @param {Object} options - {where: Object, data: Object}
-       * @returns {Object} The batch builder for chaining
-       */
-      update({ where, data }) {
-        const { clause, params } = buildWhere(where, fields);
-        const sets = [];
-        let mIdx = 0;
-
-        for (const [c, val] of Object.entries(data)) {
-          const qCol = quote(c);
-
-          if (val && typeof val === "object") {
-            if (val.increment !== undefined) {
-              params[`d_${c}`] = val.increment;
-              sets.push(`${qCol} = ${qCol} + :d_${c}`);
-            } else if (val.math !== undefined) {
-              // Validate math expression for safety
-              if (!validateMathExpression(val.math)) {
-                throw new Error("Unsafe math expression detected. Operation blocked.");
-              }
+export interface StringFilter {
+  equals?: string | null;
+  not?: string | null;
+  gt?: string;
+  gte?: string;
+  lt?: string;
+  lte?: string;
+  between?: [string, string];
+  contains?: string;
+  startsWith?: string;
+  endsWith?: string;
+  in?: string[];
+  notIn?: string[];
+  isNull?: boolean;
+  isNotNull?: boolean;
+  glob?: string;
+  regex?: string | RegExp;
+  mode?: "default" | "insensitive";
+}
 
-              let expr = val.math;
-              if (val.args) {
-                for (const [ak, av] of Object.entries(val.args)) {
-                  const pName = `m_${c}_${mIdx++}`;
-                  expr = expr.replace(new RegExp(`:${ak}\\b`, 'g'), `:${pName}`);
-                  params[pName] = av;
-                }
-              }
-              sets.push(`${qCol} = ${expr}`);
-            }
-          } else {
-            params[`d_${c}`] = val;
-            sets.push(`${qCol} = :d_${c}`);
-          }
-        }
+export interface BlobFilter {
+  equals?: Buffer | null;
+  not?: Buffer | null;
+  in?: Buffer[];
+  notIn?: Buffer[];
+  isNull?: boolean;
+  isNotNull?: boolean;
+}
 
-        operations.push({
-          baseUrls,
-          port,
-          sql: `UPDATE ${qTable} SET ${sets.join(", ")} WHERE ${clause};`,
-          params,
-          auth
-        });
-        return builder;
-      },
+/** Update expression built with the \`e\` helpers */
+export interface Expr {
+  readonly kind: string;
+  readonly args: readonly unknown[];
+  readonly name: string | null;
+}
 
-      /**
-       * Queues a delete operation
-       * @param {Object} options - {where: Object}
-       * @returns {Object} The batch builder for chaining
-       */
-      delete({ where }) {
-        const { clause, params } = buildWhere(where, fields);
-        operations.push({
-          baseUrls,
-          port,
-          sql: `DELETE FROM ${qTable} WHERE ${clause};`,
-          params,
-          auth
-        });
-        return builder;
-      }
-    };
-  }
+export type NumberUpdate =
+  | number
+  | null
+  | Expr
+  | { set: number | null | Expr }
+  | { increment: number }
+  | { decrement: number }
+  | { multiply: number }
+  | { divide: number }
+  | { math: string; args?: Record<string, unknown> };
+
+export type OnConflict<K extends string> = "ignore" | "replace" | { target: K | K[]; update?: Record<string, unknown> };
+
+type SelectedKeys<S, K> = S extends object
+  ? { [P in keyof S & K]: S[P] extends false | undefined | null ? never : P }[keyof S & K]
+  : never;
+
+/** Row narrowed by \`select\` plus the relations named in \`select\` or \`include\` */
+export type ReadResult<Row, Rels, S, I> =
+  ([SelectedKeys<S, keyof Row>] extends [never] ? Row : Pick<Row, SelectedKeys<S, keyof Row>>) &
+  Pick<Rels, SelectedKeys<S, keyof Rels> | SelectedKeys<I, keyof Rels>>;
+
+export interface CountResult {
+  count: number;
+}
 
-  return builder;
+/** Anything with a Node.js-style write(chunk) method */
+export interface WritableLike {
+  write(chunk: string | Uint8Array, callback?: (err?: Error | null) => void): boolean;
+  once?(event: string, listener: (...args: any[]) => void): unknown;
 }
 
-// ============================================================================
-// SCHEMA DDL HELPERS
-// ============================================================================
+export interface BackupOptions extends RequestOptions {
+  to: string | WritableLike;
+  format?: "sqlite" | "sql";
+  compress?: boolean;
+  table?: string;
+  shard?: number;
+}
 
-/**
- * Generates SQL column definition for CREATE TABLE or ALTER TABLE
- * @param {string} name - Column name
- * @param {Object} def - Column definition from schema
- * @returns {string} SQL column definition
- */
-function columnDefSQL(name, def) {
-  const parts = [quote(name), def.type.toUpperCase()];
+export interface RestoreOptions extends RequestOptions {
+  format?: "sqlite" | "sql";
+  table?: string;
+  shard?: number;
+}
 
-  if (def.pk) parts.push("PRIMARY KEY");
-  if (def.autoIncrement) parts.push("AUTOINCREMENT");
-  if (def.notNull) parts.push("NOT NULL");
+/** Raw SQL fragment built with Sql.sql, Sql.join or Sql.identifier */
+export interface SqlFragment {
+  readonly strings: readonly string[];
+  readonly values: readonly unknown[];
+}
 
-  // Handle default values with safety checks
-  if (def.default !== undefined) {
-    const val = def.default;
+export interface RawQueryOptions extends RequestOptions {
+  level?: ConsistencyLevel;
+}
 
-    if (typeof val === "string") {
-      // Check if it's a SQL keyword (like CURRENT_TIMESTAMP)
-      if (/^[A-Z_]+$/.test(val)) {
-        parts.push(`DEFAULT ${val}`);
-      } else {
-        // Escape string literals properly
-        parts.push(`DEFAULT '${val.replace(/'/g, "''")}'`);
-      }
-    } else if (typeof val === "number" || typeof val === "boolean") {
-      parts.push(`DEFAULT ${val}`);
-    }
-  }
+export interface RawQuery {
+  <T = Record<string, unknown>>(strings: TemplateStringsArray, ...values: unknown[]): Promise<T[]>;
+  <T = Record<string, unknown>>(query: SqlFragment, options?: RawQueryOptions): Promise<T[]>;
+}
 
-  return parts.join(" ");
+export interface RawExecuteResult {
+  count: number;
+  lastInsertId: number | null;
 }
 
-// ============================================================================
-// DATABASE INITIALIZATION
-// ============================================================================
+export interface RawExecute {
+  (strings: TemplateStringsArray, ...values: unknown[]): Promise<RawExecuteResult>;
+  (query: SqlFragment, options?: RequestOptions): Promise<RawExecuteResult>;
+}
+`;
+
+/**
+ * Converts a table name to a PascalCase type name prefix
+ * @param {string} name - Table name, e.g. "order_items"
+ * @returns {string} Type name prefix, e.g. "OrderItems"
+ */
+function typeName(name) {
+  return name
+    .split(/_+/)
+    .filter(Boolean)
+    .map(p => p[0].toUpperCase() + p.slice(1))
+    .join("") || "Table";
+}
 
 /**
- * Initializes database schema - creates tables and adds missing columns
- * Performs safe migrations without data loss
+ * Generates the declarations of one table
+ * @param {string} t - Table name
+ * @param {Object} cfg - Table configuration
  * @param {Object} schemaDef - Complete schema definition
- * @param {boolean} verbose - Enable verbose logging
- * @returns {Promise<boolean>} True on success
+ * @returns {string} TypeScript declarations
  */
-async function initDBSchema(schemaDef, verbose = false) {
-  if (verbose) CONFIG.verbose = true;
+function tableTypes(t, cfg, schemaDef) {
+  const N = typeName(t);
+  const fields = Object.entries(cfg.fields);
+  const relations = Object.entries(cfg.relations || {});
+  const tsType = def => TS_TYPES[def.type.toUpperCase()];
+  const valueType = def => (def.enum ? def.enum.map(v => JSON.stringify(v)).join(" | ") : tsType(def));
+  const nullable = def => !def.notNull && !def.pk;
+  const colType = def => `${valueType(def)}${nullable(def) ? " | null" : ""}`;
+  const colUnion = fields.map(([c]) => JSON.stringify(c)).join(" | ");
+
+  // A column must be provided on create when it cannot be NULL and has no default
+  const required = (c, def) => def.notNull && def.default === undefined && !isGenerated(def) &&
+    !isRowidKey(cfg, c);
+
+  const numericCols = fields.filter(([, d]) => tsType(d) === "number").map(([c]) => JSON.stringify(c));
+  const numericUnion = numericCols.length > 0 ? numericCols.join(" | ") : "never";
+
+  const relType = ([, r]) => {
+    const R = `${typeName(r.model)}Row`;
+    return r.type === "manyToOne" ? `${R} | null` : `${R}[]`;
+  };
 
-  // Validate entire schema before making any changes
-  validateSchema(schemaDef);
+  const lines = [];
+  lines.push(`// ---------------------------------------------------------------------------`);
+  lines.push(`// ${t}`);
+  lines.push(`// ---------------------------------------------------------------------------`);
+  lines.push("");
 
-  for (const [tName, cfg] of Object.entries(schemaDef)) {
-    const sorted = sortBaseUrls(cfg.config.base);
-    const { port, username, password } = cfg.config;
-    const auth = (username && password) ? { username, password } : null;
+  lines.push(`export interface ${N}Row {`);
+  for (const [c, d] of fields) lines.push(`  ${c}: ${colType(d)};`);
+  lines.push("}", "");
 
-    // Generate column definitions
-    const colDefs = Object.entries(cfg.fields).map(([c, d]) => columnDefSQL(c, d));
+  lines.push(`export interface ${N}Relations {`);
+  for (const rel of relations) lines.push(`  ${rel[0]}: ${relType(rel)};`);
+  lines.push("}", "");
 
-    // Create table if not exists (only on first URL - the leader)
-    await executeSQL(
-      [sorted[0]],
-      port,
-      `CREATE TABLE IF NOT EXISTS ${quote(tName)} (${colDefs.join(", ")});`,
-      {},
-      auth
-    );
+  lines.push(`export interface ${N}CreateInput {`);
+  for (const [c, d] of fields) {
+    lines.push(`  ${c}${required(c, d) ? "" : "?"}: ${colType(d)};`);
+  }
+  lines.push("}", "");
+
+  lines.push(`export interface ${N}UpdateInput {`);
+  for (const [c, d] of fields) {
+    const t = colType(d);
+    const base = tsType(d) === "number" ? `NumberUpdate` : `${t} | Expr | { set: ${t} | Expr }`;
+    lines.push(`  ${c}?: ${base};`);
+  }
+  lines.push("}", "");
 
-    // Check for missing columns using cache
-    const cacheKey = `${tName}|${port}`;
-    let info = getCachedSchema(cacheKey);
+  const searchable = new Set(cfg.fullText ? cfg.fullText.fields : []);
 
-    if (!info) {
-      info = await querySQL([sorted[0]], port, `PRAGMA table_info(${quote(tName)})`, {}, auth, "strong");
-      setCachedSchema(cacheKey, info);
-    }
+  lines.push(`export interface ${N}Where {`);
+  for (const [c, d] of fields) {
+    const filter = searchable.has(c) ? `(${TS_FILTERS[tsType(d)]} & { search?: string; raw?: boolean })` : TS_FILTERS[tsType(d)];
+    lines.push(`  ${c}?: ${valueType(d)} | null | ${filter};`);
+  }
+  lines.push(`  AND?: ${N}Where | ${N}Where[];`);
+  lines.push(`  OR?: ${N}Where[];`);
+  lines.push(`  NOT?: ${N}Where;`);
+  lines.push("}", "");
+
+  lines.push(`export type ${N}OrderBy = { [K in keyof ${N}Row]?: SortOrder };`, "");
+  // Relevance ordering is only available to findMany
+  const FindOrderBy = searchable.size > 0 ? `(${N}OrderBy & { _relevance?: SortOrder })` : `${N}OrderBy`;
+
+  lines.push(`export interface ${N}Include {`);
+  for (const [r, def] of relations) lines.push(`  ${r}?: boolean | ${typeName(def.model)}RelationArgs;`);
+  lines.push("}", "");
+
+  const soft = Boolean(softDeleteField(cfg));
+  const WD = soft ? "; withDeleted?: boolean" : "";
+
+  lines.push(`export interface ${N}Select {`);
+  for (const [c] of fields) lines.push(`  ${c}?: boolean${searchable.has(c) ? " | TextHighlight" : ""};`);
+  for (const [r, def] of relations) lines.push(`  ${r}?: boolean | ${typeName(def.model)}RelationArgs;`);
+  lines.push("}", "");
+
+  lines.push(`/** Arguments accepted when ${t} is loaded as a relation */`);
+  lines.push(`export interface ${N}RelationArgs {`);
+  lines.push(`  where?: ${N}Where;`);
+  lines.push(`  select?: ${N}Select;`);
+  lines.push(`  include?: ${N}Include;`);
+  lines.push(`  orderBy?: ${N}OrderBy | ${N}OrderBy[];`);
+  lines.push(`  limit?: number;`);
+  lines.push(`  offset?: number;`);
+  if (soft) lines.push(`  withDeleted?: boolean;`);
+  lines.push("}", "");
+
+  lines.push(`export interface ${N}FindManyArgs<S extends ${N}Select | undefined = undefined, I extends ${N}Include | undefined = undefined> extends RequestOptions {`);
+  lines.push(`  where?: ${N}Where;`);
+  lines.push(`  select?: S;`);
+  lines.push(`  include?: I;`);
+  lines.push(`  orderBy?: ${FindOrderBy} | ${FindOrderBy}[];`);
+  lines.push(`  cursor?: Partial<${N}Row>;`);
+  lines.push(`  limit?: number;`);
+  lines.push(`  offset?: number;`);
+  lines.push(`  level?: ConsistencyLevel;`);
+  lines.push(`  cache?: CacheOption;`);
+  if (soft) lines.push(`  withDeleted?: boolean;`);
+  lines.push("}", "");
+
+  lines.push(`export interface ${N}AggregateArgs extends RequestOptions {`);
+  lines.push(`  where?: ${N}Where;`);
+  lines.push(`  level?: ConsistencyLevel;`);
+  lines.push(`  cache?: CacheOption;`);
+  if (soft) lines.push(`  withDeleted?: boolean;`);
+  lines.push(`  _sum?: { [K in ${numericUnion}]?: boolean };`);
+  lines.push(`  _avg?: { [K in ${numericUnion}]?: boolean };`);
+  lines.push(`  _min?: { [K in keyof ${N}Row]?: boolean };`);
+  lines.push(`  _max?: { [K in keyof ${N}Row]?: boolean };`);
+  lines.push(`  _count?: true | { [K in keyof ${N}Row | "_all"]?: boolean };`);
+  lines.push("}", "");
+
+  lines.push(`export interface ${N}AggregateResult {`);
+  lines.push(`  _sum?: { [K in ${numericUnion}]?: number | null };`);
+  lines.push(`  _avg?: { [K in ${numericUnion}]?: number | null };`);
+  lines.push(`  _min?: Partial<${N}Row>;`);
+  lines.push(`  _max?: Partial<${N}Row>;`);
+  lines.push(`  _count?: number | { [K in keyof ${N}Row | "_all"]?: number };`);
+  lines.push("}", "");
+
+  lines.push(`export interface ${N}GroupByArgs extends ${N}AggregateArgs {`);
+  lines.push(`  by: (keyof ${N}Row)[] | keyof ${N}Row;`);
+  lines.push(`  having?: Record<string, unknown>;`);
+  lines.push(`  orderBy?: Record<string, unknown> | Record<string, unknown>[];`);
+  lines.push(`  limit?: number;`);
+  lines.push(`  offset?: number;`);
+  lines.push("}", "");
+
+  const S = `S extends ${N}Select | undefined = undefined`;
+  const SI = `${S}, I extends ${N}Include | undefined = undefined`;
+  const Res = `ReadResult<${N}Row, ${N}Relations, S, I>`;
+  const WriteRes = `ReadResult<${N}Row, {}, S, undefined>`;
+
+  lines.push(`export interface ${N}Model {`);
+  lines.push(`  create<${S}>(args: { data: ${N}CreateInput; select?: S; onConflict?: OnConflict<${colUnion}> } & RequestOptions): Promise<${WriteRes} | null>;`);
+  lines.push(`  upsert<${S}>(args: { where: Partial<${N}Row>; create?: ${N}CreateInput; update?: ${N}UpdateInput; select?: S } & RequestOptions): Promise<${WriteRes} | null>;`);
+  lines.push(`  createMany(args: { data: ${N}CreateInput[]; skipDuplicates?: boolean } & RequestOptions): Promise<CountResult>;`);
+  lines.push(`  createManyAndReturn<${S}>(args: { data: ${N}CreateInput[]; skipDuplicates?: boolean; select?: S } & RequestOptions): Promise<${WriteRes}[]>;`);
+  lines.push(`  findMany<${SI}>(args?: ${N}FindManyArgs<S, I>): Promise<${Res}[]>;`);
+  lines.push(`  findUnique<${SI}>(args?: ${N}FindManyArgs<S, I>): Promise<${Res} | null>;`);
+  lines.push(`  findFirst<${SI}>(args?: ${N}FindManyArgs<S, I>): Promise<${Res} | null>;`);
+  lines.push(`  findUniqueOrThrow<${SI}>(args?: ${N}FindManyArgs<S, I>): Promise<${Res}>;`);
+  lines.push(`  findFirstOrThrow<${SI}>(args?: ${N}FindManyArgs<S, I>): Promise<${Res}>;`);
+  lines.push(`  iterate<${SI}>(args?: Omit<${N}FindManyArgs<S, I>, "cursor" | "limit" | "offset"> & { batchSize?: number }): AsyncGenerator<${Res}>;`);
+  lines.push(`  update<${S}>(args: { where: ${N}Where; data: ${N}UpdateInput; select?: S${WD} } & RequestOptions): Promise<${WriteRes} | null>;`);
+  lines.push(`  updateMany(args: { where: ${N}Where; data: ${N}UpdateInput${WD} } & RequestOptions): Promise<CountResult>;`);
+  lines.push(`  updateManyAndReturn<${S}>(args: { where: ${N}Where; data: ${N}UpdateInput; select?: S${WD} } & RequestOptions): Promise<${WriteRes}[]>;`);
+  lines.push(`  delete(args: { where: ${N}Where } & RequestOptions): Promise<boolean>;`);
+  lines.push(`  deleteMany(args?: { where?: ${N}Where } & RequestOptions): Promise<CountResult>;`);
+  if (soft) {
+    lines.push(`  restore(args?: { where?: ${N}Where } & RequestOptions): Promise<CountResult>;`);
+    lines.push(`  hardDelete(args?: { where?: ${N}Where } & RequestOptions): Promise<CountResult>;`);
+  }
+  lines.push(`  count(args?: { where?: ${N}Where; level?: ConsistencyLevel; cache?: CacheOption${WD} } & RequestOptions): Promise<number>;`);
+  lines.push(`  aggregate(args: ${N}AggregateArgs): Promise<${N}AggregateResult>;`);
+  lines.push(`  groupBy(args: ${N}GroupByArgs): Promise<(Partial<${N}Row> & ${N}AggregateResult)[]>;`);
+  lines.push(`  exportTo<${SI}>(stream: WritableLike, args?: Omit<${N}FindManyArgs<S, I>, "cursor" | "limit" | "offset"> & { format?: "jsonl" | "csv"; batchSize?: number }): Promise<CountResult>;`);
+  lines.push(`  importFrom(stream: AsyncIterable<string | Uint8Array>, args?: { format?: "jsonl" | "csv"; chunkSize?: number; onConflict?: OnConflict<${colUnion}> } & RequestOptions): Promise<CountResult>;`);
+  lines.push(`  $queryRaw: RawQuery;`);
+  lines.push(`  $executeRaw: RawExecute;`);
+  lines.push("}", "");
+
+  lines.push(`export interface ${N}BatchMethods {`);
+  lines.push(`  create(args: { data: ${N}CreateInput; onConflict?: OnConflict<${colUnion}> }): BatchBuilder;`);
+  lines.push(`  update(args: { where: ${N}Where; data: ${N}UpdateInput${WD} }): BatchBuilder;`);
+  lines.push(`  delete(args: { where: ${N}Where }): BatchBuilder;`);
+  lines.push("}", "");
+
+  return lines.join("\n");
+}
 
-    const existing = new Set(info.map(r => r.name));
+/**
+ * Generates TypeScript declarations (.d.ts) for a schema: row types, create/update
+ * inputs, where filters with per-type operators, select-narrowed read results,
+ * model methods and typed batch builder methods
+ * @param {Object} schemaDef - Complete schema definition (as passed to createClient)
+ * @param {Object} [options] - {out?: string} write the declarations to this path
+ * @returns {Promise<string>} Declaration file source
+ * @example
+ * await generateTypes(schema, { out: "./rqlink-schema.d.ts" });
+ */
+export async function generateTypes(schemaDef, { out } = {}) {
+  validateSchema(schemaDef);
 
-    // Add any missing columns (safe migration)
-    for (const [cName, cDef] of Object.entries(cfg.fields)) {
-      if (!existing.has(cName)) {
-        await executeSQL(
-          [sorted[0]],
-          port,
-          `ALTER TABLE ${quote(tName)} ADD COLUMN ${columnDefSQL(cName, cDef)};`,
-          {},
-          auth
-        );
-        // Invalidate cache after schema change
-        invalidateCache(cacheKey);
-      }
-    }
+  const tables = Object.keys(schemaDef);
+  const parts = [
+    "// Generated by rqlink generateTypes. Do not edit by hand.",
+    '/// <reference types="node" />',
+    "",
+    TS_PRELUDE
+  ];
 
-    // Create indexes if specified
-    if (cfg.indexes) {
-      for (const idx of cfg.indexes) {
-        const name = quote(idx.name || `idx_${tName}_${idx.columns.join("_")}`);
-        await executeSQL(
-          [sorted[0]],
-          port,
-          `CREATE ${idx.unique ? "UNIQUE" : ""} INDEX IF NOT EXISTS ${name} ON ${quote(tName)} (${idx.columns.map(quote).join(", ")});`,
-          {},
-          auth
-        );
-      }
-    }
+  for (const t of tables) {
+    parts.push(tableTypes(t, schemaDef[t], schemaDef));
   }
 
-  return true;
+  parts.push("// ---------------------------------------------------------------------------");
+  parts.push("// Client");
+  parts.push("// ---------------------------------------------------------------------------");
+  parts.push("");
+  parts.push("export interface BatchBuilder {");
+  for (const t of tables) parts.push(`  ${t}: ${typeName(t)}BatchMethods;`);
+  parts.push("  execute(options?: RequestOptions): Promise<Record<string, unknown>>;");
+  parts.push("}", "");
+
+  parts.push("export interface Database {");
+  for (const t of tables) parts.push(`  ${t}: ${typeName(t)}Model;`);
+  parts.push("  batch: { start(): BatchBuilder };");
+  parts.push("  $queryRaw: RawQuery;");
+  parts.push("  $executeRaw: RawExecute;");
+  parts.push("}", "");
+
+  parts.push("export interface MiddlewareParams {");
+  parts.push("  table: string;");
+  parts.push("  action: string;");
+  parts.push("  args: any;");
+  parts.push("  batch?: boolean;");
+  parts.push("}", "");
+  parts.push("export type Middleware = (params: MiddlewareParams, next: (params?: MiddlewareParams) => Promise<any>) => Promise<any>;", "");
+
+  parts.push("export interface RqlinkClient {");
+  parts.push("  db: Database;");
+  parts.push("  $use(fn: Middleware): void;");
+  parts.push("  initDB(opts?: { verbose?: boolean; dryRun?: boolean; allowDataLoss?: boolean }): Promise<boolean | Record<string, unknown>[]>;");
+  parts.push("  backup(opts: BackupOptions): Promise<{ bytes: number }>;");
+  parts.push("  restore(source: string | Uint8Array | AsyncIterable<string | Uint8Array>, opts?: RestoreOptions): Promise<Record<string, unknown>>;");
+  parts.push("  migrationHistory(): Promise<Record<string, unknown>[]>;");
+  parts.push("  dropDB(): Promise<void>;");
+  parts.push("  invalidateQueryCache(table?: string | string[]): Promise<void>;");
+  parts.push("}", "");
+
+  const source = parts.join("\n");
+
+  if (out) {
+    const { writeFile } = await import("node:fs/promises");
+    await writeFile(out, source, "utf8");
+  }
+
+  return source;
 }
 
 // ============================================================================
@@ -1019,38 +6916,137 @@ async function initDBSchema(schemaDef, verbose = false) {
 
 /**
  * Creates a new rqlink client for the given schema
+ * Options override the global configure() defaults for this client only; a table's
+ * `config` may override them again (e.g. a longer timeout for one cluster)
  * @param {Object} schemaDef - Complete schema definition
- * @returns {Object} Client with {db, initDB, dropDB} methods
+ * @param {Object} [options] - Configuration overrides (same keys as configure()), plus
+ * `cacheStore` for the query cache (default: a per-client createMemoryCache())
+ * @returns {Object} Client with {db, $use, initDB, backup, restore, migrationHistory, dropDB, invalidateQueryCache} methods
  * @example
- * const { db, initDB, dropDB } = createClient(schema);
+ * const { db, initDB, dropDB } = createClient(schema, { timeout: 10000, requireTLS: true });
  * await initDB();
  * const user = await db.users.create({ data: { name: "Alice" } });
  */
-export function createClient(schemaDef) {
+export function createClient(schemaDef, options = {}) {
   // Validate schema on client creation
   validateSchema(schemaDef);
 
+  // Snapshot so later mutation of the caller's object does not leak in
+  const { cacheStore = createMemoryCache(), ...clientOptions } = mergeOptions(options);
+  const middlewares = [];
+  const queryCache = createQueryCache(cacheStore, schemaDef, clientOptions);
+  const tables = Object.keys(schemaDef);
+
   // Build database model with table-specific methods
   const db = {
     batch: {
-      start: () => createBatchBuilder(schemaDef)
+      start: () => createBatchBuilder(schemaDef, clientOptions, middlewares, queryCache)
     }
   };
 
   // Add model for each table
-  for (const t of Object.keys(schemaDef)) {
-    db[t] = buildModel(t, schemaDef[t]);
+  for (const t of tables) {
+    const model = withQueryCache(t, schemaDef[t], withOperation(t, buildModel(t, schemaDef[t], schemaDef, clientOptions)), schemaDef, queryCache, clientOptions);
+    db[t] = withMiddleware(t, schemaDef[t], model, middlewares);
   }
 
+  // db.$queryRaw / db.$executeRaw work when every table lives on the same cluster
+  const conns = Object.values(schemaDef).flatMap(cfg => tableShards(cfg, clientOptions));
+  const shared = conns.length > 0 && conns.every(c => c.key === conns[0].key);
+  const raw = rawSQL(shared ? { ...conns[0], options: clientOptions } : null);
+  Object.assign(db, {
+    $queryRaw: raw.$queryRaw,
+    async $executeRaw(...args) {
+      try {
+        return await raw.$executeRaw(...args);
+      } finally {
+        await queryCache.invalidate(tables);
+      }
+    }
+  });
+
   return {
     db,
 
     /**
-     * Initializes the database schema
-     * @param {Object} opts - {verbose?: boolean}
-     * @returns {Promise<boolean>} True on success
+     * Registers middleware run around every model and batch operation, in registration order
+     * @param {Function} fn - async (params, next) => result; params is {table, action, args, batch?}
+     * @example
+     * client.$use(async (params, next) => {
+     *   const start = Date.now();
+     *   const result = await next(params);
+     *   console.log(`${params.table}.${params.action} took ${Date.now() - start}ms`);
+     *   return result;
+     * });
+     */
+    $use(fn) {
+      if (typeof fn !== "function") {
+        throw new Error("$use() requires a middleware function");
+      }
+      middlewares.push(fn);
+    },
+
+    /**
+     * Initializes the database schema by diffing and migrating every table
+     * @param {Object} opts - {verbose?: boolean, dryRun?: boolean, allowDataLoss?: boolean}
+     * @returns {Promise<boolean|Object[]>} True on success, or the printed plan with dryRun
+     */
+    initDB: async (opts = {}) => {
+      try {
+        return await initDBSchema(schemaDef, opts, clientOptions);
+      } finally {
+        await queryCache.invalidate(tables);
+      }
+    },
+
+    /**
+     * Drops cached query results, e.g. after writes made outside this client
+     * @param {string|string[]} [table] - Table name(s); all tables when omitted
+     * @returns {Promise<void>}
+     */
+    invalidateQueryCache: async (table) => {
+      const list = table === undefined ? tables : [].concat(table);
+      for (const t of list) {
+        if (!schemaDef[t]) throw new Error(`Table "${t}" not found in schema`);
+      }
+      await queryCache.invalidate(list);
+    },
+
+    /**
+     * Streams a backup of the database from rqlite's /db/backup
+     * When the schema spans several clusters, `table` selects the cluster to back up,
+     * and `shard` the shard of a sharded table.
+     * A `to` stream is left open; a file path is created and closed.
+     * @param {Object} opts - {to: string|Writable, format?: "sqlite"|"sql", compress?: boolean, table?: string, shard?: number, timeout?, signal?}
+     * @returns {Promise<Object>} {bytes} number of bytes written
+     * @example
+     * await client.backup({ to: "./backup.sqlite.gz", compress: true });
      */
-    initDB: (opts = {}) => initDBSchema(schemaDef, opts.verbose),
+    backup: ({ table, shard, ...opts } = {}) => backupCluster(transferConnection(schemaDef, clientOptions, table, shard, "backup"), opts),
+
+    /**
+     * Replaces the database with a backup through rqlite's /db/load
+     * Accepts SQLite files and SQL dumps, gzip-compressed or not
+     * @param {string|Uint8Array|Readable} source - File path, Buffer or readable stream
+     * @param {Object} [opts] - {format?: "sqlite"|"sql", table?: string, shard?: number, timeout?, signal?}
+     * @returns {Promise<Object>} rqlite response
+     */
+    restore: async (source, { table, shard, ...opts } = {}) => {
+      const conn = transferConnection(schemaDef, clientOptions, table, shard, "restore");
+      const restored = queryCache.tables(conn);
+      try {
+        return await restoreCluster(conn, source, opts);
+      } finally {
+        for (const t of restored) invalidateCache(`${t}|${conn.port}`);
+        await queryCache.invalidate(restored);
+      }
+    },
+
+    /**
+     * Lists migrations applied by initDB on the schema's clusters
+     * @returns {Promise<Object[]>} Records of the _rqlink_migrations tables
+     */
+    migrationHistory: () => readMigrationHistory(schemaDef, clientOptions),
 
     /**
      * Drops all tables in the schema
@@ -1059,21 +7055,26 @@ export function createClient(schemaDef) {
      */
     dropDB: async () => {
       for (const [t, cfg] of Object.entries(schemaDef)) {
-        const auth = (cfg.config.username && cfg.config.password)
-          ? { username: cfg.config.username, password: cfg.config.password }
-          : null;
+        for (const { baseUrls, port, auth, options } of tableShards(cfg, clientOptions)) {
+          await executeSQL(
+            baseUrls,
+            port,
+            `DROP TABLE IF EXISTS ${quote(t)};`,
+            {},
+            auth,
+            options
+          );
 
-        await executeSQL(
-          [sortBaseUrls(cfg.config.base)[0]],
-          cfg.config.port,
-          `DROP TABLE IF EXISTS ${quote(t)};`,
-          {},
-          auth
-        );
+          // The FTS5 index outlives its content table
+          if (cfg.fullText) {
+            await executeSQL(baseUrls, port, `DROP TABLE IF EXISTS ${quote(`${t}_fts`)};`, {}, auth, options);
+          }
 
-        // Clear cache entry for dropped table
-        invalidateCache(`${t}|${cfg.config.port}`);
+          // Clear cache entry for dropped table
+          invalidateCache(`${t}|${port}`);
+        }
       }
+      await queryCache.invalidate(tables);
     }
   };
 }
@@ -1082,4 +7083,26 @@ export function createClient(schemaDef) {
 // DEFAULT EXPORT
 // ============================================================================
 
-export default { configure, createClient, executeSQL, querySQL };
\ No newline at end of file
+export default {
+  configure,
+  createClient,
+  executeSQL,
+  querySQL,
+  pullSchema,
+  generateTypes,
+  clusterHealth,
+  RqlinkError,
+  SQLError,
+  UniqueConstraintError,
+  ForeignKeyError,
+  NotNullError,
+  NotFoundError,
+  TimeoutError,
+  AuthError,
+  NodeUnreachableError,
+  ValidationError,
+  Sql,
+  Expr,
+  e,
+  createMemoryCache
+};
\ No newline at end of file
@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createClient } from "../rqlink.js";
+import { fakeRqlite, resultOf } from "./fake-rqlite.js";
+
+const schema = {
+  users: {
+    config: { port: 4001, base: ["http://cursor.test"] },
+    fields: {
+      id: { type: "INTEGER", pk: true },
+      name: { type: "TEXT" },
+      score: { type: "INTEGER" }
+    }
+  }
+};
+
+/**
+ * Serves the given pages, in order, to successive SELECTs
+ */
+function pages(t, list) {
+  let n = 0;
+  return fakeRqlite(t, ([sql]) => (sql.startsWith("SELECT") ? resultOf(list[n++] || []) : {}));
+}
+
+test("iterate continues after the order values of the last row, without re-reading it", async (t) => {
+  const requests = pages(t, [
+    [{ id: 1, name: "a", score: 9 }, { id: 4, name: "b", score: 5 }],
+    [{ id: 2, name: "c", score: 5 }]
+  ]);
+  const { db } = createClient(schema);
+
+  const seen = [];
+  for await (const row of db.users.iterate({ orderBy: { score: "desc" }, batchSize: 2 })) {
+    seen.push(row.id);
+  }
+
+  assert.deepEqual(seen, [1, 4, 2]);
+  assert.equal(requests.length, 2);
+  const [sql, params] = requests[1].statements[0];
+  assert.doesNotMatch(sql, /\(SELECT/);
+  assert.equal(params.curv_score, 5);
+  assert.equal(params.curv_id, 4);
+  assert.match(sql, /ORDER BY "score" DESC, "id" ASC/);
+});
+
+test("iterate fetches the order columns it pages on and strips them from the rows", async (t) => {
+  const requests = pages(t, [[{ name: "a", score: 3, id: 7 }]]);
+  const { db } = createClient(schema);
+
+  const rows = [];
+  for await (const row of db.users.iterate({ select: { name: true }, orderBy: { score: "asc" }, batchSize: 5 })) {
+    rows.push(row);
+  }
+
+  assert.deepEqual(rows, [{ name: "a" }]);
+  assert.match(requests[0].statements[0][0], /^SELECT "name", "score", "id" FROM/);
+});
+
+test("a NULL order value continues with the NULL-aware keyset branches", async (t) => {
+  const requests = pages(t, [
+    [{ id: 1, name: "a", score: null }, { id: 2, name: "b", score: null }],
+    []
+  ]);
+  const { db } = createClient(schema);
+
+  for await (const row of db.users.iterate({ orderBy: { score: "asc" }, batchSize: 2 })) assert.ok(row);
+
+  const [sql, params] = requests[1].statements[0];
+  assert.equal(params.curv_score, null);
+  assert.match(sql, /"score" > :curv_score OR \(:curv_score IS NULL AND "score" IS NOT NULL\)/);
+  assert.match(sql, /"score" IS :curv_score AND/);
+});
+
+test("descending order keeps NULLs last", async (t) => {
+  const requests = pages(t, [[]]);
+  const { db } = createClient(schema);
+
+  await db.users.findMany({ orderBy: { score: "desc" }, cursor: { score: 4, id: 3 }, limit: 10 });
+
+  const [sql] = requests[0].statements[0];
+  assert.match(sql, /"score" < :curv_score OR \("score" IS NULL AND :curv_score IS NOT NULL\)/);
+});
+
+test("findMany rejects a cursor without the value of every order column", async (t) => {
+  const requests = pages(t, []);
+  const { db } = createClient(schema);
+
+  await assert.rejects(
+    db.users.findMany({ orderBy: { score: "desc" }, cursor: { id: 3 } }),
+    /missing: score/
+  );
+  assert.equal(requests.length, 0);
+});
@@ -0,0 +1,38 @@
+/**
+ * Stub rqlite node for the tests: replaces fetch for the duration of a test
+ * `respond` receives each statement as [sql, params] and the request path, and
+ * returns its rqlite result object ({columns, values}, {rows_affected}, {error})
+ * @param {Object} t - node:test context, used to restore fetch afterwards
+ * @param {Function} [respond] - (statement, path) => result
+ * @returns {Object[]} Requests seen so far: {path, url, statements}
+ */
+export function fakeRqlite(t, respond = () => ({})) {
+  const requests = [];
+  const original = globalThis.fetch;
+
+  globalThis.fetch = async (url, init = {}) => {
+    const { pathname } = new URL(url);
+    const statements = typeof init.body === "string" ? JSON.parse(init.body) : [];
+    requests.push({ path: pathname, url: String(url), statements });
+    const results = statements.map(st => respond(Array.isArray(st) ? st : [st], pathname));
+    return new Response(JSON.stringify({ results }), {
+      status: 200,
+      headers: { "Content-Type": "application/json" }
+    });
+  };
+  t.after(() => {
+    globalThis.fetch = original;
+  });
+
+  return requests;
+}
+
+/**
+ * Builds an rqlite query result from row objects
+ * @param {Object[]} rows - Rows with the same keys
+ * @returns {Object} {columns, values}
+ */
+export function resultOf(rows) {
+  const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+  return { columns, values: rows.map(r => columns.map(c => r[c])) };
+}
@@ -0,0 +1,148 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Readable } from "node:stream";
+import { createClient, configure } from "../rqlink.js";
+import { fakeRqlite } from "./fake-rqlite.js";
+
+const schema = {
+  notes: {
+    config: { port: 4001, base: ["http://import.test"] },
+    fields: {
+      id: { type: "INTEGER", pk: true },
+      title: { type: "TEXT" },
+      body: { type: "TEXT" }
+    }
+  }
+};
+
+/**
+ * Reads the rows back out of the multi-row INSERTs sent to the stub
+ */
+function insertedRows(requests) {
+  const rows = [];
+  for (const { statements } of requests) {
+    for (const [sql, params] of statements) {
+      const cols = /\(([^)]*)\) VALUES/.exec(sql)[1].split(", ").map(c => JSON.parse(c));
+      const byRow = new Map();
+      for (const [name, value] of Object.entries(params)) {
+        const [, n, i] = /^r(\d+)_(\d+)$/.exec(name);
+        if (!byRow.has(n)) byRow.set(n, {});
+        byRow.get(n)[cols[Number(i)]] = value;
+      }
+      rows.push(...byRow.values());
+    }
+  }
+  return rows;
+}
+
+/**
+ * Imports `text` split into two byte chunks at every possible position
+ * @returns {Object[][]} Inserted rows of each split
+ */
+async function importAtEverySplit(t, text, format) {
+  const bytes = Buffer.from(text);
+  const results = [];
+  for (let at = 0; at <= bytes.length; at++) {
+    const requests = fakeRqlite(t, () => ({ rows_affected: 1 }));
+    const { db } = createClient(schema);
+    await db.notes.importFrom(Readable.from([bytes.subarray(0, at), bytes.subarray(at)]), { format });
+    results.push(insertedRows(requests));
+  }
+  return results;
+}
+
+test("CSV quoted fields, escaped quotes and CRLF survive any chunk boundary", async (t) => {
+  const csv = 'id,title,body\r\n1,"He said ""hi"", then left","two\r\nlines"\r\n2,plain,"a,b"\r\n';
+  const expected = [
+    { id: 1, title: 'He said "hi", then left', body: "two\r\nlines" },
+    { id: 2, title: "plain", body: "a,b" }
+  ];
+  for (const rows of await importAtEverySplit(t, csv, "csv")) {
+    assert.deepEqual(rows, expected);
+  }
+});
+
+test("CSV tells an empty field (NULL) from a quoted empty string", async (t) => {
+  const csv = 'id,title,body\n1,,""\n2,"",\n';
+  const [rows] = await importAtEverySplit(t, csv, "csv");
+  assert.deepEqual(rows, [
+    { id: 1, title: null, body: "" },
+    { id: 2, title: "", body: null }
+  ]);
+});
+
+test("multi-byte UTF-8 split across chunks is decoded intact", async (t) => {
+  const csv = 'id,title,body\n1,"café ☕","😀 naïve"\n';
+  for (const rows of await importAtEverySplit(t, csv, "csv")) {
+    assert.deepEqual(rows, [{ id: 1, title: "café ☕", body: "😀 naïve" }]);
+  }
+
+  const jsonl = '{"id":1,"title":"日本語","body":"😀"}\n';
+  for (const rows of await importAtEverySplit(t, jsonl, "jsonl")) {
+    assert.deepEqual(rows, [{ id: 1, title: "日本語", body: "😀" }]);
+  }
+});
+
+test("JSON Lines accept CRLF and blank lines at any chunk boundary", async (t) => {
+  const jsonl = '{"id":1,"title":"a","body":null}\r\n\r\n{"id":2,"title":"b\\nc","body":""}\r\n';
+  for (const rows of await importAtEverySplit(t, jsonl, "jsonl")) {
+    assert.deepEqual(rows, [
+      { id: 1, title: "a", body: null },
+      { id: 2, title: "b\nc", body: "" }
+    ]);
+  }
+});
+
+test("malformed input names its line", async (t) => {
+  fakeRqlite(t, () => ({ rows_affected: 1 }));
+  const { db } = createClient(schema);
+
+  await assert.rejects(db.notes.importFrom(Readable.from(['{"id":1}\n{oops}\n'])), /Invalid JSON on line 2/);
+  await assert.rejects(db.notes.importFrom(Readable.from(['id,title\n1,"open']), { format: "csv" }), /Unterminated quoted CSV field on line 2/);
+  await assert.rejects(db.notes.importFrom(Readable.from(["id,title\n1,a,b\n"]), { format: "csv" }), /CSV line 2 has 3 fields/);
+});
+
+/**
+ * Imports the records with the given maxRequestSize and returns the request bodies
+ */
+async function bodiesAt(t, records, maxRequestSize) {
+  configure({ maxRequestSize });
+  t.after(() => configure({ maxRequestSize: 1024 * 1024 }));
+
+  const sizes = [];
+  const requests = fakeRqlite(t, () => ({ rows_affected: 1 }));
+  const original = globalThis.fetch;
+  globalThis.fetch = (url, init) => {
+    sizes.push(init.body.length);
+    return original(url, init);
+  };
+
+  const { db } = createClient(schema);
+  const { count } = await db.notes.importFrom(Readable.from([records.map(r => JSON.stringify(r)).join("\n")]));
+  assert.equal(insertedRows(requests).length, records.length);
+  return { sizes, count };
+}
+
+test("a multi-row INSERT may fill maxRequestSize exactly", async (t) => {
+  const records = [1, 2, 3].map(id => ({ id, title: `t"${id}`, body: "é" }));
+  const { sizes: [full] } = await bodiesAt(t, records, 1024 * 1024);
+
+  assert.deepEqual((await bodiesAt(t, records, full)).sizes, [full]);
+  const split = (await bodiesAt(t, records, full - 1)).sizes;
+  assert.equal(split.length, 2);
+  assert.ok(split.every(s => s <= full - 1));
+});
+
+test("statements are grouped into transactions up to exactly maxRequestSize", async (t) => {
+  // Different column sets give one INSERT each, sent together as one transaction
+  const records = [{ id: 1, title: "a" }, { id: 2, body: "b" }, { id: 3 }];
+  const { sizes: [full] } = await bodiesAt(t, records, 1024 * 1024);
+
+  const exact = await bodiesAt(t, records, full);
+  assert.deepEqual(exact.sizes, [full]);
+  assert.equal(exact.count, 3);
+
+  const split = await bodiesAt(t, records, full - 1);
+  assert.equal(split.sizes.length, 2);
+  assert.ok(split.sizes.every(s => s <= full - 1));
+});
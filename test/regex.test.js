@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createClient, SQLError } from "../rqlink.js";
+import { fakeRqlite, resultOf } from "./fake-rqlite.js";
+
+const schema = {
+  products: {
+    config: { port: 4001, base: ["http://regex.test"] },
+    fields: {
+      id: { type: "INTEGER", pk: true },
+      sku: { type: "TEXT" }
+    }
+  }
+};
+
+/**
+ * Runs a count with the given sku filter and returns the REGEXP pattern sent
+ */
+async function patternOf(t, filter) {
+  const requests = fakeRqlite(t, () => resultOf([{ count: 0 }]));
+  const { db } = createClient(schema);
+  await db.products.count({ where: { sku: filter } });
+
+  const [sql, params] = requests[0].statements[0];
+  const [, name] = /REGEXP :(\w+)/.exec(sql);
+  return params[name];
+}
+
+test("RegExp flags are sent as an inline group", async (t) => {
+  assert.equal(await patternOf(t, { regex: "^A\\d" }), "^A\\d");
+  assert.equal(await patternOf(t, { regex: /^A\d/ }), "^A\\d");
+  assert.equal(await patternOf(t, { regex: /^A\d/i }), "(?i)^A\\d");
+  assert.equal(await patternOf(t, { regex: /^a/gsmi }), "(?ims)^a");
+  assert.equal(await patternOf(t, { regex: "^a", mode: "insensitive" }), "(?i)^a");
+});
+
+test("flags the server cannot honour are rejected", async (t) => {
+  fakeRqlite(t);
+  const { db } = createClient(schema);
+  await assert.rejects(db.products.count({ where: { sku: { regex: /a/y } } }), /Unsupported regex flag\(s\): y/);
+});
+
+test("a server without regexp() reports a clear SQLError", async (t) => {
+  fakeRqlite(t, () => ({ error: "no such function: REGEXP" }));
+  const { db } = createClient(schema);
+  await assert.rejects(
+    db.products.count({ where: { sku: { regex: "a" } } }),
+    (e) => e instanceof SQLError && /needs a regexp\(\) function/.test(e.message)
+  );
+});
@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createClient } from "../rqlink.js";
+import { fakeRqlite, resultOf } from "./fake-rqlite.js";
+
+const schema = {
+  notes: {
+    config: { port: 4001, base: ["http://search.test"] },
+    fields: {
+      id: { type: "INTEGER", pk: true },
+      title: { type: "TEXT" },
+      body: { type: "TEXT" }
+    },
+    fullText: { fields: ["title", "body"] }
+  }
+};
+
+/**
+ * Runs a count with the given body filter and returns the MATCH parameter sent
+ */
+async function matchOf(t, filter) {
+  const requests = fakeRqlite(t, () => resultOf([{ count: 0 }]));
+  const { db } = createClient(schema);
+  await db.notes.count({ where: { body: filter } });
+
+  const [sql, params] = requests[0].statements[0];
+  const [, name] = /MATCH :(\w+)/.exec(sql);
+  return params[name];
+}
+
+test("search text is quoted as one FTS5 string", async (t) => {
+  const cases = {
+    "follow-up": '{body} : "follow-up"',
+    "O'Brien": `{body} : "O'Brien"`,
+    "C++": '{body} : "C++"',
+    "title:x*": '{body} : "title:x*"',
+    'say "hi"': '{body} : "say ""hi"""'
+  };
+  for (const [input, expected] of Object.entries(cases)) {
+    assert.equal(await matchOf(t, { search: input }), expected);
+  }
+});
+
+test("a closing parenthesis cannot escape the column filter", async (t) => {
+  assert.equal(await matchOf(t, { search: "a) OR (b" }), '{body} : "a) OR (b"');
+});
+
+test("raw: true passes FTS5 query syntax through", async (t) => {
+  assert.equal(await matchOf(t, { search: "pain OR ache*", raw: true }), "{body} : (pain OR ache*)");
+});
+
+test("raw without search is rejected", async (t) => {
+  fakeRqlite(t);
+  const { db } = createClient(schema);
+  await assert.rejects(db.notes.count({ where: { body: { raw: true } } }), /raw is only supported together with search/);
+});
@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createClient } from "../rqlink.js";
+import { fakeRqlite } from "./fake-rqlite.js";
+
+const schema = {
+  files: {
+    config: { port: 4001, base: ["http://values.test"] },
+    fields: {
+      id: { type: "INTEGER", pk: true },
+      size: { type: "INTEGER" },
+      data: { type: "BLOB" }
+    }
+  }
+};
+
+test("binary buffers are sent as BLOB byte arrays", async (t) => {
+  const requests = fakeRqlite(t, () => ({ rows_affected: 1 }));
+  const { db } = createClient(schema);
+
+  await db.files.createMany({ data: [{ data: Buffer.from("hi") }, { data: new Uint8Array([0, 255]) }] });
+  await db.files.deleteMany({ where: { data: Buffer.from([7]) } });
+
+  const [, insertParams] = requests[0].statements[0];
+  assert.deepEqual(Object.values(insertParams), [[104, 105], [0, 255]]);
+  const [deleteSQL, deleteParams] = requests[1].statements[0];
+  assert.match(deleteSQL, /"data" = :p_0/);
+  assert.deepEqual(deleteParams.p_0, [7]);
+});
+
+test("BigInts in the safe range become numbers, larger ones are rejected", async (t) => {
+  const requests = fakeRqlite(t, () => ({ rows_affected: 1 }));
+  const { db } = createClient(schema);
+
+  await db.files.createMany({ data: [{ size: 42n }] });
+  assert.deepEqual(Object.values(requests[0].statements[0][1]), [42]);
+
+  await assert.rejects(db.files.createMany({ data: [{ size: 2n ** 60n }] }), { name: "ValidationError" });
+  assert.equal(requests.length, 1);
+});